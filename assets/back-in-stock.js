@@ -0,0 +1,206 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {Object} BackInStockSubscription
+ * @property {string} variantId
+ * @property {string} email
+ * @property {number} createdAt - When the shopper signed up, in milliseconds since the epoch
+ */
+
+/** The key used to store the pending subscriptions in local storage */
+const STORAGE_KEY = 'back-in-stock-subscriptions';
+
+/** How long a subscription is shown as pending, restocks rarely take longer: 90 days */
+const SUBSCRIPTION_TTL = 90 * 24 * 60 * 60 * 1000;
+
+/** The customer tag of the contact form submissions, so merchants can filter the signups */
+const CONTACT_TAG = 'back-in-stock';
+
+/**
+ * Reads the pending subscriptions, without the expired ones.
+ * @returns {BackInStockSubscription[]}
+ */
+function readSubscriptions() {
+  try {
+    const subscriptions = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(subscriptions)) return [];
+
+    return subscriptions.filter(({ createdAt }) => Date.now() - createdAt < SUBSCRIPTION_TTL);
+  } catch (error) {
+    console.error('Invalid back in stock subscriptions:', error);
+    return [];
+  }
+}
+
+/**
+ * Stores a pending subscription, replacing the one for the same variant.
+ * @param {BackInStockSubscription} subscription
+ */
+function saveSubscription(subscription) {
+  const subscriptions = readSubscriptions().filter(({ variantId }) => variantId !== subscription.variantId);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...subscriptions, subscription]));
+  } catch (error) {
+    // Storage may be full or disabled, the signup was sent anyway
+    console.error('Error saving back in stock subscription:', error);
+  }
+}
+
+/**
+ * A custom element that lets the shopper sign up to be emailed when a sold out variant is back in stock.
+ * It's shown for unavailable variants only, following the variant picker.
+ *
+ * Signups are POSTed as JSON (`{ email, product_id, variant_id, url }`) to the endpoint set in the block,
+ * or sent through the contact form, tagged `back-in-stock`, when there's none.
+ *
+ * @typedef {object} BackInStockRefs
+ * @property {HTMLFormElement} form - The signup form.
+ * @property {HTMLInputElement} emailInput - The email input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} success - The message shown once signed up.
+ *
+ * @extends {Component<BackInStockRefs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['form', 'emailInput', 'submitButton', 'error', 'success'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Signs the shopper up for the current variant.
+   * @param {SubmitEvent} event - The submit event of the form.
+   */
+  async subscribe(event) {
+    event.preventDefault();
+
+    const { emailInput, submitButton } = this.refs;
+    const { variantId } = this.dataset;
+    const email = emailInput.value.trim();
+
+    if (!variantId) return;
+
+    if (!email || !emailInput.checkValidity()) {
+      this.#setError(this.dataset.invalidEmailMessage ?? '');
+      emailInput.focus();
+      return;
+    }
+
+    this.#setError('');
+    submitButton.disabled = true;
+
+    try {
+      await this.#send(email, variantId);
+
+      saveSubscription({ variantId, email, createdAt: Date.now() });
+      this.#render();
+    } catch (error) {
+      console.error(error);
+      this.#setError(this.dataset.errorMessage ?? '');
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * @param {string} email
+   * @param {string} variantId
+   * @returns {Promise<void>} Rejects when the signup wasn't stored
+   */
+  async #send(email, variantId) {
+    const { endpoint, contactUrl = '/contact', productId, productTitle = '', productUrl = '' } = this.dataset;
+    const url = new URL(productUrl, location.origin);
+    url.searchParams.set('variant', variantId);
+
+    if (endpoint) {
+      const body = JSON.stringify({ email, product_id: productId, variant_id: variantId, url: url.toString() });
+
+      const response = await fetch(endpoint, fetchConfig('json', { body }));
+      if (!response.ok) throw new Error(`Failed to sign up for back in stock: HTTP error ${response.status}`);
+
+      return;
+    }
+
+    const body = new FormData();
+    body.set('form_type', 'contact');
+    body.set('utf8', '✓');
+    body.set('contact[email]', email);
+    body.set('contact[tags]', CONTACT_TAG);
+    body.set('contact[Product]', productTitle);
+    body.set('contact[Variant ID]', variantId);
+    body.set('contact[Product URL]', url.toString());
+
+    const response = await fetch(contactUrl, { method: 'POST', body });
+
+    // A posted contact form redirects to `?contact_posted=true`, one that needs a captcha redirects to `/challenge`
+    if (!response.ok || new URL(response.url).searchParams.get('contact_posted') !== 'true') {
+      throw new Error(`Failed to sign up for back in stock: the contact form wasn't posted (${response.url})`);
+    }
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+      this.dataset.productUrl = event.detail.data.newProduct.url;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    this.dataset.variantId = variant?.id ?? '';
+    // A missing variant can't come back in stock, only sold out ones can
+    this.hidden = !variant || variant.available;
+
+    this.#setError('');
+    this.#render();
+  };
+
+  /**
+   * Shows the form, or the success message when the shopper already signed up for the variant.
+   */
+  #render() {
+    const { success } = this.refs;
+    const { variantId } = this.dataset;
+    const isSubscribed = readSubscriptions().some((subscription) => subscription.variantId === variantId);
+
+    this.toggleAttribute('data-subscribed', isSubscribed);
+    success.textContent = isSubscribed ? this.dataset.successMessage ?? '' : '';
+  }
+
+  /**
+   * @param {string} message - The error, empty to clear it
+   */
+  #setError(message) {
+    const { emailInput, error } = this.refs;
+
+    error.textContent = message;
+    emailInput.toggleAttribute('aria-invalid', !!message);
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
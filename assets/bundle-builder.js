@@ -0,0 +1,346 @@
+import { Component } from '@theme/component';
+import { cartClient, isCartError } from '@theme/cart';
+import { discountManager } from '@theme/discount-manager';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
+
+/**
+ * @typedef {object} BundleTier
+ * @property {number} quantity - The number of items the tier starts at
+ * @property {number} discount - The discount of the tier, in percent
+ * @property {string} [code] - The discount code applying the tier discount at checkout
+ */
+
+/**
+ * @typedef {object} BundlePick
+ * @property {string} variantId
+ * @property {string} title - The product title
+ * @property {string} variantTitle - The option values of the variant, empty for products without options
+ * @property {number} price - The price in cents
+ * @property {string} preorder - The `_preorder` property of the line, empty unless the variant is sold on pre-order
+ */
+
+/**
+ * A custom element that lets the shopper build a bundle from the products of a collection, each with its own
+ * variant picker, and shows the bundle price with the discount of the tier reached.
+ *
+ * The bundle is added to the cart in one request, every line sharing a `_bundle_id` property and carrying its
+ * quantity in one bundle as `_bundle_quantity`, so the cart can group its lines and update them together.
+ * The discount code of the tier reached is kept as `_bundle_discount`, so the cart can remove it with the bundle.
+ *
+ * @typedef {object} BundleBuilderRefs
+ * @property {HTMLScriptElement} tiers - The JSON of the discount tiers.
+ * @property {HTMLElement[]} items - The products of the collection.
+ * @property {HTMLUListElement} picks - The list of the items in the bundle.
+ * @property {HTMLTemplateElement} pickTemplate - The template of an item in the bundle.
+ * @property {HTMLElement} count - The number of items in the bundle.
+ * @property {HTMLElement} subtotal - The price of the items before the discount.
+ * @property {HTMLElement} total - The price of the bundle.
+ * @property {HTMLElement} savings - The discount of the tier reached.
+ * @property {HTMLElement} hint - The items still needed to complete the bundle or reach the next tier.
+ * @property {HTMLButtonElement} addToCartButton - The button adding the bundle to the cart.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<BundleBuilderRefs>}
+ */
+class BundleBuilderComponent extends Component {
+  requiredRefs = [
+    'tiers',
+    'picks',
+    'pickTemplate',
+    'count',
+    'subtotal',
+    'total',
+    'savings',
+    'hint',
+    'addToCartButton',
+    'error',
+  ];
+
+  /** @type {BundlePick[]} */
+  #picks = [];
+
+  /** @type {BundleTier[]} */
+  #tiers = [];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#tiers = this.#parseTiers();
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate);
+  }
+
+  /**
+   * The number of items the bundle needs
+   * @returns {number}
+   */
+  get minItems() {
+    return Number(this.dataset.minItems) || 1;
+  }
+
+  /**
+   * The number of items the bundle can hold
+   * @returns {number}
+   */
+  get maxItems() {
+    return Math.max(Number(this.dataset.maxItems) || Infinity, this.minItems);
+  }
+
+  /**
+   * Adds the selected variant of a product to the bundle.
+   * @param {Event} event - The click event of the add button of the product.
+   */
+  addItem(event) {
+    const item = this.#getItem(event.target);
+    if (!item || this.#picks.length >= this.maxItems) return;
+
+    const { variantId, available, title = '', variantTitle = '', price, preorder = '' } = item.dataset;
+    if (!variantId || available !== 'true') return;
+
+    this.#picks.push({ variantId, title, variantTitle, price: Number(price) || 0, preorder });
+    this.#setError('');
+    this.#render();
+  }
+
+  /**
+   * Removes an item from the bundle.
+   * @param {Event} event - The click event of the remove button of the item.
+   */
+  removeItem(event) {
+    const pick = event.target instanceof Element ? event.target.closest('li') : null;
+    const index = Array.from(this.refs.picks.children).findIndex((child) => child === pick);
+    if (index === -1) return;
+
+    this.#picks.splice(index, 1);
+    this.#setError('');
+    this.#render();
+
+    // The button is gone, so move focus to the next item, or to the products
+    const { picks, items } = this.refs;
+    const nextButton = (picks.children[index] ?? picks.lastElementChild)?.querySelector('button');
+    (nextButton ?? items?.[0]?.querySelector('[data-bundle-add]'))?.focus();
+  }
+
+  /**
+   * Adds the bundle to the cart, and applies the discount code of the tier reached.
+   */
+  async addToCart() {
+    const { addToCartButton } = this.refs;
+    const picks = this.#picks;
+
+    if (picks.length < this.minItems) return;
+
+    const bundleId = createBundleId();
+    const code = this.#getTier(picks.length)?.code;
+
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
+    for (const { variantId } of picks) quantities.set(variantId, (quantities.get(variantId) ?? 0) + 1);
+
+    const items = Array.from(quantities, ([id, quantity]) => {
+      const preorder = picks.find((pick) => pick.variantId === id)?.preorder;
+
+      return {
+        id,
+        quantity,
+        properties: {
+          _bundle_id: bundleId,
+          _bundle_quantity: String(quantity),
+          ...(code ? { _bundle_discount: code } : {}),
+          ...(preorder ? { _preorder: preorder } : {}),
+        },
+      };
+    });
+
+    addToCartButton.disabled = true;
+    this.#setError('');
+
+    try {
+      const data = await cartClient.add(
+        { items },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'bundle-builder-component',
+          data: { itemCount: picks.length, bundleId },
+        }
+      );
+
+      if (isCartError(data)) {
+        this.#setError(data.description || data.message || this.dataset.errorMessage || '');
+        return;
+      }
+
+      if (code) await discountManager.apply([code], { sourceId: this.id });
+
+      this.#picks = [];
+      this.#render();
+    } catch (error) {
+      console.error(error);
+      this.#setError(this.dataset.errorMessage ?? '');
+    } finally {
+      addToCartButton.disabled = this.#picks.length < this.minItems;
+    }
+  }
+
+  /**
+   * Tracks the variant selected for a product.
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    const item = this.#getItem(event.target);
+    if (!item) return;
+
+    const variant = event.detail.resource;
+
+    item.dataset.variantId = variant?.id ?? '';
+    item.dataset.available = String(Boolean(variant?.available));
+    item.dataset.preorder = variant?.preorder ? variant.preorder_ship_date || 'true' : '';
+    if (variant?.options) item.dataset.variantTitle = variant.options.join(' / ');
+    if (variant?.price != null) item.dataset.price = String(variant.price);
+
+    this.#renderItem(item);
+  };
+
+  /**
+   * @param {EventTarget | null} target - An element of a product
+   * @returns {HTMLElement | undefined} The product
+   */
+  #getItem(target) {
+    return this.refs.items?.find((item) => target instanceof Node && item.contains(target));
+  }
+
+  /**
+   * @returns {BundleTier[]} The discount tiers, from the smallest to the largest bundle
+   */
+  #parseTiers() {
+    try {
+      const tiers = JSON.parse(this.refs.tiers.textContent || '[]');
+      if (!Array.isArray(tiers)) return [];
+
+      return tiers
+        .filter((tier) => tier.quantity > 0 && tier.discount > 0)
+        .sort((a, b) => a.quantity - b.quantity);
+    } catch (error) {
+      console.error('Invalid bundle tiers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {number} count - The number of items in the bundle
+   * @returns {BundleTier | undefined} The largest tier reached
+   */
+  #getTier(count) {
+    return this.#tiers.filter((tier) => tier.quantity <= count).pop();
+  }
+
+  /**
+   * Shows the price of the selected variant of a product, and whether it can be added.
+   * @param {HTMLElement} item
+   */
+  #renderItem(item) {
+    const price = item.querySelector('[data-bundle-item-price]');
+    const button = item.querySelector('[data-bundle-add]');
+    const isAvailable = Boolean(item.dataset.variantId) && item.dataset.available === 'true';
+
+    if (price && item.dataset.price) price.textContent = this.#formatMoney(Number(item.dataset.price));
+
+    if (button instanceof HTMLButtonElement) {
+      button.disabled = !isAvailable || this.#picks.length >= this.maxItems;
+      button.textContent = isAvailable ? this.dataset.addText ?? '' : this.dataset.soldOutText ?? '';
+    }
+  }
+
+  /**
+   * Lists the items in the bundle, and shows its price and the items needed to complete it or save more.
+   */
+  #render() {
+    const { picks, pickTemplate, count, subtotal, total, savings, hint, addToCartButton } = this.refs;
+    const { minItems, maxItems } = this;
+    const itemCount = this.#picks.length;
+
+    picks.replaceChildren(
+      ...this.#picks.map((pick) => {
+        const fragment = /** @type {DocumentFragment} */ (pickTemplate.content.cloneNode(true));
+        const title = fragment.querySelector('[data-pick-title]');
+        const variantTitle = fragment.querySelector('[data-pick-variant]');
+        const price = fragment.querySelector('[data-pick-price]');
+        const removeButton = fragment.querySelector('[data-pick-remove]');
+        const label = [pick.title, pick.variantTitle].filter(Boolean).join(' - ');
+
+        if (title) title.textContent = pick.title;
+        if (variantTitle) variantTitle.textContent = pick.variantTitle;
+        if (price) price.textContent = this.#formatMoney(pick.price);
+        removeButton?.setAttribute('aria-label', (this.dataset.removeLabel ?? '').replace('{{ title }}', label));
+
+        return fragment;
+      })
+    );
+
+    const amount = this.#picks.reduce((sum, pick) => sum + pick.price, 0);
+    const tier = this.#getTier(itemCount);
+    const discount = tier ? Math.round((amount * tier.discount) / 100) : 0;
+    const nextTier = this.#tiers.find((tier) => tier.quantity > itemCount && tier.quantity <= maxItems);
+
+    count.textContent = (this.dataset.countText ?? '')
+      .replace('{{ count }}', String(itemCount))
+      .replace('{{ max }}', String(maxItems));
+    subtotal.textContent = this.#formatMoney(amount);
+    total.textContent = this.#formatMoney(amount - discount);
+    savings.textContent = (this.dataset.savingsText ?? '').replace('{{ amount }}', this.#formatMoney(discount));
+    savings.hidden = discount === 0;
+    subtotal.hidden = discount === 0;
+
+    if (itemCount < minItems) {
+      hint.textContent = (this.dataset.minItemsText ?? '').replace('{{ count }}', String(minItems - itemCount));
+    } else if (nextTier) {
+      hint.textContent = (this.dataset.nextTierText ?? '')
+        .replace('{{ count }}', String(nextTier.quantity - itemCount))
+        .replace('{{ percent }}', String(nextTier.discount));
+    } else {
+      hint.textContent = itemCount >= maxItems ? this.dataset.fullText ?? '' : '';
+    }
+
+    this.toggleAttribute('data-empty', itemCount === 0);
+    addToCartButton.disabled = itemCount < minItems;
+
+    for (const item of this.refs.items ?? []) this.#renderItem(item);
+  }
+
+  /**
+   * @param {string} message - The error, empty to clear it
+   */
+  #setError(message) {
+    this.refs.error.textContent = message;
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {string}
+   */
+  #formatMoney(cents) {
+    const { moneyFormat = '{{amount}}', currency = '' } = this.dataset;
+
+    return formatCents(cents, moneyFormat, currency);
+  }
+}
+
+/**
+ * @returns {string} An ID unique enough to tell the bundles of a cart apart
+ */
+function createBundleId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+if (!customElements.get('bundle-builder-component')) {
+  customElements.define('bundle-builder-component', BundleBuilderComponent);
+}
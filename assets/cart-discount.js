@@ -1,7 +1,6 @@
 import { Component } from '@theme/component';
+import { discountManager } from '@theme/discount-manager';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -60,25 +59,14 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      // The discount manager keeps the codes applied from elsewhere, e.g. free gift codes, which have no pill
+      const { cart: data, rejected } = await discountManager.apply([discountCodeValue], {
+        sourceId: this.id,
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
-      if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-          return discount.code === discountCodeValue && discount.applicable === false;
-        })
-      ) {
+      if (rejected.length > 0) {
         discountCode.value = '';
         this.#handleDiscountError('discount_code');
         return;
@@ -108,7 +96,6 @@ class CartDiscount extends Component {
         }
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
@@ -140,27 +127,17 @@ class CartDiscount extends Component {
     const discountCode = pill.dataset.discountCode;
     if (!discountCode) return;
 
-    const existingDiscounts = this.#existingDiscounts();
-    const index = existingDiscounts.indexOf(discountCode);
-    if (index === -1) return;
-
-    existingDiscounts.splice(index, 1);
+    if (!this.#existingDiscounts().includes(discountCode)) return;
 
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const { cart: data } = await discountManager.remove([discountCode], {
+        sourceId: this.id,
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
     } catch (error) {
     } finally {
@@ -1,15 +1,25 @@
 import { Component } from '@theme/component';
-import { fetchConfig } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent, CartAddEvent, DiscountUpdateEvent, QuantitySelectorUpdateEvent } from '@theme/events';
-
-/** @typedef {Object} GiftConfig
- * @property {string} variantId
- * @property {number} threshold
+import { cartClient, isCartError } from '@theme/cart';
+import { discountManager } from '@theme/discount-manager';
+import { ThemeEvents, CartUpdateEvent, CartAddEvent, QuantitySelectorUpdateEvent } from '@theme/events';
+import { convertToPresentmentCents, formatCents } from '@theme/money';
+
+/** @typedef {Object} FreeGiftTier
+ * @property {string} id
+ * @property {string} label
+ * @property {number} threshold - The amount to reach, in cents of the cart currency
+ * @property {number} shopThreshold - The amount to reach, in cents of the shop currency
+ * @property {string} variantId - The default gift, added when the tier is reached
+ * @property {string[]} gifts - The variant IDs the shopper can choose from, the default gift included
+ * @property {string} discountCode
+ * @property {string | null} image
  * @property {string} tag
  */
 
 /** @typedef {Object} CartItem
+ * @property {string} key
  * @property {number} variant_id
+ * @property {Record<string, string>} [properties]
  * @property {number} [line]
  * @property {number} [final_line_price]
  * @property {number} [line_price]
@@ -21,33 +31,68 @@ import { ThemeEvents, CartUpdateEvent, CartAddEvent, DiscountUpdateEvent, Quanti
  * @property {CartItem[]} items
  */
 
-const FREE_GIFT_CONFIG = {
-  gift5000: {
-    variantId: '55378709479497',
-    threshold: 500000,
-    tag: 'free-gift-5000',
-  },
-  gift8000: {
-    variantId: '55378884591689',
-    threshold: 800000,
-    tag: 'free-gift-8000',
-  },
-  gift11000: {
-    variantId: '55378900000000',
-    threshold: 1100000,
-    tag: 'free-gift-11000',
-  },
-  gift15000: {
-    variantId: '55379000000000',
-    threshold: 1500000,
-    tag: 'free-gift-15000',
-  },
-};
+/**
+ * Calculates how far the progress bar should be filled for a cart total.
+ * Each tier takes an equal share of the bar, mirroring `cart-free-gift-milestones.liquid`.
+ * @param {number} cartTotal - The cart total, excluding free gifts
+ * @param {number[]} thresholds - The tier thresholds, from lowest to highest
+ * @returns {number} The progress percentage
+ */
+function calculateMilestoneProgress(cartTotal, thresholds) {
+  if (!thresholds.length) return 0;
+
+  const segment = 100 / thresholds.length;
+  let previousThreshold = 0;
+
+  for (const [index, threshold] of thresholds.entries()) {
+    if (cartTotal < threshold) {
+      const segmentProgress = ((cartTotal - previousThreshold) * segment) / (threshold - previousThreshold);
+      return index * segment + segmentProgress;
+    }
+
+    previousThreshold = threshold;
+  }
+
+  return 100;
+}
 
 class CartFreeGifts extends Component {
   #isProcessing = false;
   /** @type {ReturnType<typeof setTimeout> | null} */
   #processingTimeout = null;
+  /** @type {FreeGiftTier[] | null} */
+  #tiers = null;
+
+  /**
+   * The free gift tiers, serialized by the `free-gift-tiers` snippet.
+   * @returns {FreeGiftTier[]}
+   */
+  get tiers() {
+    if (this.#tiers) return this.#tiers;
+
+    const script = this.querySelector('script[data-free-gift-tiers]');
+
+    try {
+      /** @type {(Omit<FreeGiftTier, 'threshold'> & { threshold: number | null })[]} */
+      const tiers = JSON.parse(script?.textContent || '[]');
+
+      // Thresholds Liquid couldn't convert to the cart currency are converted with the presentment rate
+      this.#tiers = tiers.map((tier) => ({
+        ...tier,
+        threshold: tier.threshold ?? convertToPresentmentCents(tier.shopThreshold),
+      }));
+    } catch (error) {
+      console.error('Invalid free gift tiers:', error);
+      this.#tiers = [];
+    }
+
+    return /** @type {FreeGiftTier[]} */ (this.#tiers);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#tiers = null;
+  }
 
   connectedCallback() {
     super.connectedCallback();
@@ -87,41 +132,77 @@ class CartFreeGifts extends Component {
     if (isFreeGift && quantity !== 1) {
       event.preventDefault();
       event.stopPropagation();
-      
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionsToUpdate = new Set();
-      
-      cartItemsComponents.forEach((item) => {
-        if (item instanceof HTMLElement && item.dataset.sectionId) {
-          sectionsToUpdate.add(item.dataset.sectionId);
-        }
-      });
-
-      const body = JSON.stringify({
-        line: line,
-        quantity: 1,
-        sections: Array.from(sectionsToUpdate).join(','),
-        sections_url: window.location.pathname,
-      });
 
-      await fetch(Theme.routes.cart_change_url, {
-        ...fetchConfig('json', { body }),
-      });
+      await cartClient.change({ line, quantity: 1 }, { sourceId: 'cart-free-gifts', source: 'cart-free-gifts' });
     }
   };
 
   /** @param {CartItem} item */
   #isFreeGiftItem(item) {
-    const freeGiftVariantIds = [
-      FREE_GIFT_CONFIG.gift5000.variantId,
-      FREE_GIFT_CONFIG.gift8000.variantId,
-      FREE_GIFT_CONFIG.gift11000.variantId,
-      FREE_GIFT_CONFIG.gift15000.variantId,
-    ];
-    
-    return freeGiftVariantIds.includes(item.variant_id.toString());
+    return item.properties?._auto_gift === 'true';
   }
 
+  /**
+   * Gets the free gift lines that belong to a tier.
+   * Lines added before gifts were tagged with their tier are matched by variant.
+   * @param {Cart} cart
+   * @param {FreeGiftTier} tier
+   * @returns {CartItem[]}
+   */
+  #getTierGiftItems(cart, tier) {
+    return (cart.items || []).filter((item) => {
+      if (!this.#isFreeGiftItem(item)) return false;
+
+      const tierId = item.properties?._gift_tier;
+      if (tierId) return tierId === tier.id;
+
+      return this.#getGiftVariantIds(tier).includes(item.variant_id.toString());
+    });
+  }
+
+  /**
+   * @param {FreeGiftTier} tier
+   * @returns {string[]}
+   */
+  #getGiftVariantIds(tier) {
+    return [tier.variantId, ...(tier.gifts || [])].filter(Boolean);
+  }
+
+  /**
+   * Swaps the gift of a tier for the one the shopper picked.
+   * @param {Event} event - The change event of a gift option
+   */
+  selectGift = async (event) => {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement) || !input.checked) return;
+
+    const { tierId } = input.dataset;
+    const variantId = input.value;
+    const tier = this.tiers.find((tier) => tier.id === tierId);
+
+    if (!tier || !this.#getGiftVariantIds(tier).includes(variantId) || this.#isProcessing) return;
+
+    this.#isProcessing = true;
+
+    try {
+      const cart = await this.#fetchCart();
+      if (!cart) return;
+
+      const tierGiftItems = this.#getTierGiftItems(cart, tier);
+      if (tierGiftItems.some((item) => item.variant_id.toString() === variantId)) return;
+
+      for (const item of tierGiftItems) {
+        await this.#removeGiftFromCart(item);
+      }
+
+      await this.#addGiftToCart(tier, variantId);
+    } catch (error) {
+      console.error('Error swapping free gift:', error);
+    } finally {
+      this.#isProcessing = false;
+    }
+  };
+
   /** @param {CartUpdateEvent | CartAddEvent} event */
   #handleCartUpdate = async (event) => {
     if (event.detail?.sourceId === 'cart-free-gifts' || event.detail?.data?.source === 'cart-free-gifts') {
@@ -185,10 +266,10 @@ class CartFreeGifts extends Component {
         return;
       }
 
-      await this.#handleGift(cart, FREE_GIFT_CONFIG.gift15000, cartTotal);
-      await this.#handleGift(cart, FREE_GIFT_CONFIG.gift11000, cartTotal);
-      await this.#handleGift(cart, FREE_GIFT_CONFIG.gift8000, cartTotal);
-      await this.#handleGift(cart, FREE_GIFT_CONFIG.gift5000, cartTotal);
+      // Handle the highest tiers first so the most valuable gifts are added before the others
+      for (const tier of [...this.tiers].reverse()) {
+        await this.#handleGift(cart, tier, cartTotal);
+      }
 
       this.#updateMilestones(cartTotal);
 
@@ -201,99 +282,40 @@ class CartFreeGifts extends Component {
 
   /** @param {number} cartTotal */
   #updateMilestones(cartTotal) {
+    const thresholds = this.tiers.map((tier) => tier.threshold);
+    const progressPercentage = calculateMilestoneProgress(cartTotal, thresholds);
     const milestoneElements = document.querySelectorAll('.cart-milestones');
-    
+
     milestoneElements.forEach((milestoneEl) => {
       if (!(milestoneEl instanceof HTMLElement)) return;
-      
-      const milestone5000 = 500000;
-      const milestone8000 = 800000;
-      const milestone11000 = 1100000;
-      const milestone15000 = 1500000;
-      
-      const milestone5000Reached = cartTotal >= milestone5000;
-      const milestone8000Reached = cartTotal >= milestone8000;
-      const milestone11000Reached = cartTotal >= milestone11000;
-      const milestone15000Reached = cartTotal >= milestone15000;
-      
-      let progressPercentage = 0;
-      if (cartTotal >= milestone15000) {
-        progressPercentage = 100;
-      } else if (cartTotal >= milestone11000) {
-        const amountAfter11000 = cartTotal - milestone11000;
-        const remainingTo15000 = milestone15000 - milestone11000;
-        const progressAfter11000 = (amountAfter11000 / remainingTo15000) * 25;
-        progressPercentage = 75 + progressAfter11000;
-        if (progressPercentage > 100) {
-          progressPercentage = 100;
-        }
-      } else if (cartTotal >= milestone8000) {
-        const amountAfter8000 = cartTotal - milestone8000;
-        const remainingTo11000 = milestone11000 - milestone8000;
-        const progressAfter8000 = (amountAfter8000 / remainingTo11000) * 25;
-        progressPercentage = 50 + progressAfter8000;
-        if (progressPercentage > 75) {
-          progressPercentage = 75;
-        }
-      } else if (cartTotal >= milestone5000) {
-        const amountAfter5000 = cartTotal - milestone5000;
-        const remainingTo8000 = milestone8000 - milestone5000;
-        const progressAfter5000 = (amountAfter5000 / remainingTo8000) * 25;
-        progressPercentage = 25 + progressAfter5000;
-        if (progressPercentage > 50) {
-          progressPercentage = 50;
-        }
-      } else {
-        progressPercentage = (cartTotal / milestone5000) * 25;
-        if (progressPercentage > 25) {
-          progressPercentage = 25;
-        }
-      }
-      
+
+      milestoneEl.dataset.cartTotal = cartTotal.toString();
+
+      const moneyFormat = milestoneEl.querySelector('template.cart-milestones__money-format');
+      const format =
+        (moneyFormat instanceof HTMLTemplateElement && moneyFormat.content.textContent?.trim()) || '{{amount}}';
+      const currency = milestoneEl.dataset.currency ?? '';
+
       const progressFill = milestoneEl.querySelector('.cart-milestones__progress-fill');
       if (progressFill instanceof HTMLElement) {
         progressFill.style.width = `${progressPercentage}%`;
       }
-      
+
       const milestones = milestoneEl.querySelectorAll('.cart-milestones__milestone');
-      if (milestones.length >= 4) {
-        const milestone0 = milestones[0];
-        const milestone1 = milestones[1];
-        const milestone2 = milestones[2];
-        const milestone3 = milestones[3];
-        
-        if (milestone0) {
-          if (milestone5000Reached) {
-            milestone0.classList.add('cart-milestones__milestone--reached');
-          } else {
-            milestone0.classList.remove('cart-milestones__milestone--reached');
-          }
-        }
-        
-        if (milestone1) {
-          if (milestone8000Reached) {
-            milestone1.classList.add('cart-milestones__milestone--reached');
-          } else {
-            milestone1.classList.remove('cart-milestones__milestone--reached');
-          }
-        }
-        
-        if (milestone2) {
-          if (milestone11000Reached) {
-            milestone2.classList.add('cart-milestones__milestone--reached');
-          } else {
-            milestone2.classList.remove('cart-milestones__milestone--reached');
-          }
-        }
-        
-        if (milestone3) {
-          if (milestone15000Reached) {
-            milestone3.classList.add('cart-milestones__milestone--reached');
-          } else {
-            milestone3.classList.remove('cart-milestones__milestone--reached');
-          }
+      milestones.forEach((milestone, index) => {
+        const threshold = thresholds[index];
+        if (threshold === undefined) return;
+
+        milestone.classList.toggle('cart-milestones__milestone--reached', cartTotal >= threshold);
+
+        // Fills in the thresholds the snippet couldn't convert to the cart currency
+        if (milestone instanceof HTMLElement && milestone.dataset.threshold !== threshold.toString()) {
+          milestone.dataset.threshold = threshold.toString();
+
+          const amount = milestone.querySelector('.cart-milestones__milestone-amount');
+          if (amount) amount.textContent = formatCents(threshold, format, currency, { stripTrailingZeros: true });
         }
-      }
+      });
     });
   }
 
@@ -313,23 +335,24 @@ class CartFreeGifts extends Component {
     return false;
   }
 
-  /** @param {Cart} cart */
+  /**
+   * Gets the cart total, after cart-level discounts, without the free gifts. Matches the total the
+   * `cart-free-gift-milestones` snippet renders.
+   * @param {Cart} cart
+   */
   #calculateCartTotalExcludingFreeGifts(cart) {
     if (!cart.items || !Array.isArray(cart.items)) {
       return 0;
     }
 
-    let total = 0;
+    let freeGiftTotal = 0;
     for (const item of cart.items) {
-      const isFreeGift = this.#isFreeGiftItem(item);
-      if (!isFreeGift) {
-        const linePrice = /** @type {CartItem} */ (item).final_line_price || 
-                         /** @type {CartItem} */ (item).line_price || 0;
-        total += linePrice;
+      if (this.#isFreeGiftItem(item)) {
+        freeGiftTotal += /** @type {CartItem} */ (item).final_line_price || 0;
       }
     }
 
-    return total;
+    return (cart.total_price || 0) - freeGiftTotal;
   }
 
   /** @param {Cart} cart */
@@ -345,139 +368,77 @@ class CartFreeGifts extends Component {
     }
 
     for (const item of freeGiftItems) {
-      try {
-        await this.#removeGiftFromCart(cart, item.variant_id.toString());
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error('Error removing free gift:', error);
-      }
+      await this.#removeGiftFromCart(item);
     }
   }
 
   /** @param {Cart} cart
-   * @param {GiftConfig} giftConfig
+   * @param {FreeGiftTier} tier
    * @param {number} cartTotal
    */
-  async #handleGift(cart, giftConfig, cartTotal) {
-    const isGiftInCart = this.#isGiftInCart(cart, giftConfig.variantId);
-    const shouldHaveGift = cartTotal >= giftConfig.threshold;
-
-    if (shouldHaveGift && !isGiftInCart) {
-      await this.#addGiftToCart(giftConfig.variantId);
-    } else if (!shouldHaveGift && isGiftInCart) {
-      await this.#removeGiftFromCart(cart, giftConfig.variantId);
+  async #handleGift(cart, tier, cartTotal) {
+    const [giftItem, ...extraGiftItems] = this.#getTierGiftItems(cart, tier);
+    const shouldHaveGift = cartTotal >= tier.threshold;
+
+    if (shouldHaveGift) {
+      // The shopper may have swapped the default gift, so any gift of the tier counts
+      if (!giftItem) {
+        const defaultVariantId = this.#getGiftVariantIds(tier)[0];
+        if (defaultVariantId) await this.#addGiftToCart(tier, defaultVariantId);
+      }
+
+      // Only one gift per tier
+      for (const item of extraGiftItems) {
+        await this.#removeGiftFromCart(item);
+      }
+    } else {
+      for (const item of [giftItem, ...extraGiftItems]) {
+        if (item) await this.#removeGiftFromCart(item);
+      }
     }
   }
 
-  /** @param {Cart} cart
+  /**
+   * @param {FreeGiftTier} tier
    * @param {string} variantId
    */
-  #isGiftInCart(cart, variantId) {
-    if (!cart.items || !Array.isArray(cart.items)) {
-      return false;
-    }
-
-    return cart.items.some(
-      (item) => /** @type {CartItem} */ (item).variant_id.toString() === variantId.toString()
-    );
-  }
-
-  /** @param {string} variantId */
-  async #addGiftToCart(variantId) {
+  async #addGiftToCart(tier, variantId) {
     try {
       const formData = new FormData();
       formData.append('id', variantId);
       formData.append('quantity', '1');
       formData.append('properties[_auto_gift]', 'true');
+      formData.append('properties[_gift_tier]', tier.id);
 
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionsToUpdate = new Set();
-      
-      cartItemsComponents.forEach((item) => {
-        if (item instanceof HTMLElement && item.dataset.sectionId) {
-          sectionsToUpdate.add(item.dataset.sectionId);
-        }
-      });
-
-      if (sectionsToUpdate.size > 0) {
-        formData.append('sections', Array.from(sectionsToUpdate).join(','));
-      }
-
-      const response = await fetch(Theme.routes.cart_add_url, {
-        ...fetchConfig('javascript', { body: formData }),
-        headers: {
-          ...fetchConfig('javascript', { body: formData }).headers,
-          Accept: 'text/html',
-        },
-      });
-
-      const data = await response.json();
+      const data = await cartClient.add(formData, { sourceId: 'cart-free-gifts', source: 'cart-free-gifts' });
 
-      if (data.status) {
+      if (isCartError(data)) {
         console.error('Failed to add free gift:', data.message);
         return;
       }
 
-      await this.#applyFreeGiftDiscount(variantId);
-
-      document.dispatchEvent(
-        new CartAddEvent(data, 'cart-free-gifts', {
-          source: 'cart-free-gifts',
-          sections: data.sections,
-        })
-      );
-
-      const updatedCart = await this.#fetchCart();
-      if (updatedCart) {
-        const cartTotal = this.#calculateCartTotalExcludingFreeGifts(updatedCart);
-        this.#updateMilestones(cartTotal);
-      }
-
+      await this.#applyFreeGiftDiscount(tier);
+      this.#updateMilestonesFromState();
     } catch (error) {
       console.error('Error adding free gift:', error);
     }
   }
 
-  /** @param {string} variantId */
-  async #applyFreeGiftDiscount(variantId) {
+  /** @param {FreeGiftTier} tier */
+  async #applyFreeGiftDiscount(tier) {
     try {
       const cart = await this.#fetchCart();
       if (!cart || !cart.items) return;
 
-      const giftItem = cart.items.find(
-        /** @param {CartItem} item */ (item) => item.variant_id.toString() === variantId.toString()
-      );
+      if (!this.#getTierGiftItems(cart, tier).length) return;
 
-      if (!giftItem) return;
+      const discountCode = tier.discountCode;
 
-      const discountCode = this.#getDiscountCodeForVariant(variantId);
-      
       if (discountCode) {
-        const cartItemsComponents = document.querySelectorAll('cart-items-component');
-        const sectionsToUpdate = new Set();
-        
-        cartItemsComponents.forEach((item) => {
-          if (item instanceof HTMLElement && item.dataset.sectionId) {
-            sectionsToUpdate.add(item.dataset.sectionId);
-          }
-        });
-
-        const body = JSON.stringify({
-          discount: discountCode,
-          sections: Array.from(sectionsToUpdate).join(','),
-        });
-
-        const response = await fetch(Theme.routes.cart_update_url, {
-          ...fetchConfig('json', { body }),
-        });
-
-        const responseText = await response.text();
-        const discountData = JSON.parse(responseText);
-
-        if (discountData && !discountData.errors) {
-          document.dispatchEvent(
-            new DiscountUpdateEvent(discountData, 'cart-free-gifts')
-          );
+        const { rejected } = await discountManager.apply([discountCode], { sourceId: 'cart-free-gifts' });
+
+        if (rejected.length > 0) {
+          console.warn('Free gift discount code not applicable:', rejected.join(', '));
         }
       }
     } catch (error) {
@@ -485,87 +446,38 @@ class CartFreeGifts extends Component {
     }
   }
 
-  /** @param {string} variantId */
-  #getDiscountCodeForVariant(variantId) {
-    const discountCodeMap = {
-      '55378709479497': 'FREEGIFT5000',
-      '55378884591689': 'FREEGIFT8000',
-    };
-
-    return /** @type {Record<string, string>} */ (discountCodeMap)[variantId] || null;
-  }
-
-  /** @param {Cart} cart
-   * @param {string} variantId
+  /**
+   * Removes a free gift line, by key so that earlier removals don't shift the line it points to.
+   * @param {CartItem} giftItem
    */
-  async #removeGiftFromCart(cart, variantId) {
+  async #removeGiftFromCart(giftItem) {
     try {
-      const giftItemIndex = cart.items.findIndex(
-        (item) => /** @type {CartItem} */ (item).variant_id.toString() === variantId.toString()
+      const data = await cartClient.change(
+        { id: giftItem.key, quantity: 0 },
+        { sourceId: 'cart-free-gifts', source: 'cart-free-gifts' }
       );
 
-      if (giftItemIndex === -1) {
-        return;
-      }
-
-      const giftItem = /** @type {CartItem} */ (cart.items[giftItemIndex]);
-
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionsToUpdate = new Set();
-      
-      cartItemsComponents.forEach((item) => {
-        if (item instanceof HTMLElement && item.dataset.sectionId) {
-          sectionsToUpdate.add(item.dataset.sectionId);
-        }
-      });
-
-      const lineNumber = giftItem.line || (giftItemIndex + 1);
-
-      const body = JSON.stringify({
-        line: lineNumber,
-        quantity: 0,
-        sections: Array.from(sectionsToUpdate).join(','),
-        sections_url: window.location.pathname,
-      });
-
-      const response = await fetch(Theme.routes.cart_change_url, {
-        ...fetchConfig('json', { body }),
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
-
-      if (data.errors) {
+      if (isCartError(data)) {
         console.error('Failed to remove free gift:', data.errors);
         return;
       }
 
-      document.dispatchEvent(
-        new CartUpdateEvent(data, 'cart-free-gifts', {
-          source: 'cart-free-gifts',
-          itemCount: data.item_count || 0,
-          sections: data.sections,
-        })
-      );
-
-      const updatedCart = await this.#fetchCart();
-      if (updatedCart) {
-        const cartTotal = this.#calculateCartTotalExcludingFreeGifts(updatedCart);
-        this.#updateMilestones(cartTotal);
-      }
-
+      this.#updateMilestonesFromState();
     } catch (error) {
       console.error('Error removing free gift:', error);
     }
   }
 
+  #updateMilestonesFromState() {
+    const { state } = cartClient;
+    if (state) {
+      this.#updateMilestones(this.#calculateCartTotalExcludingFreeGifts(state));
+    }
+  }
+
   async #fetchCart() {
     try {
-      const response = await fetch('/cart.js');
-      if (!response.ok) {
-        throw new Error(`Cart fetch failed: ${response.status}`);
-      }
-      return await response.json();
+      return await cartClient.get();
     } catch (error) {
       console.error('Error fetching cart:', error);
       return null;
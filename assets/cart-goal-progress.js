@@ -0,0 +1,174 @@
+import { Component } from '@theme/component';
+import { cartClient } from '@theme/cart';
+import { ThemeEvents, CartUpdateEvent, CartAddEvent } from '@theme/events';
+import { convertToPresentmentCents, formatCents } from '@theme/money';
+
+/** @typedef {import('./cart').Cart} Cart */
+
+/**
+ * @typedef {Object} CartGoal
+ * @property {string} label
+ * @property {number} threshold - The amount to reach, in cents of the cart currency
+ * @property {number} shopThreshold - The amount to reach, in cents of the shop currency
+ * @property {'free_shipping' | 'gift' | 'discount'} type
+ */
+
+/**
+ * Gets the cart total the goals are measured against: the total price, free gifts excluded.
+ * Mirrors `goal_total` in `cart-goal-progress.liquid`.
+ * @param {Cart} cart
+ * @returns {number} The total in cents
+ */
+function getGoalTotal(cart) {
+  return cart.items.reduce(
+    (total, item) => (item.properties?._auto_gift === 'true' ? total - (item.final_line_price ?? 0) : total),
+    cart.total_price
+  );
+}
+
+/**
+ * A custom element that shows the progress of the cart towards the cart goals, e.g. free shipping.
+ * The progress is updated from the cart of every cart update, so it doesn't wait for a section re-render.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The message about the next goal.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement[]} [goals] - The goals, in the order of the serialized goals.
+ * @property {HTMLTemplateElement} [moneyFormat] - The shop money format.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartGoalProgressComponent extends Component {
+  requiredRefs = ['message', 'bar'];
+
+  /** @type {CartGoal[] | null} */
+  #goals = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+
+    if (this.hasAttribute('data-thresholds-pending')) {
+      cartClient
+        .get()
+        .then((cart) => this.update(cart))
+        .catch((error) => console.error('Error updating cart goals:', error));
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#goals = null;
+  }
+
+  /**
+   * The goals, serialized by the `cart-goal-progress` snippet.
+   * @returns {CartGoal[]}
+   */
+  get goals() {
+    if (this.#goals) return this.#goals;
+
+    const script = this.querySelector('script[data-cart-goals]');
+
+    try {
+      /** @type {(Omit<CartGoal, 'threshold'> & { threshold: number | null })[]} */
+      const goals = JSON.parse(script?.textContent || '[]');
+
+      // Thresholds Liquid couldn't convert to the cart currency are converted with the presentment rate
+      this.#goals = goals.map((goal) => ({
+        ...goal,
+        threshold: goal.threshold ?? convertToPresentmentCents(goal.shopThreshold),
+      }));
+    } catch (error) {
+      console.error('Invalid cart goals:', error);
+      this.#goals = [];
+    }
+
+    return /** @type {CartGoal[]} */ (this.#goals);
+  }
+
+  /**
+   * @param {CartUpdateEvent | CartAddEvent} event
+   */
+  #handleCartUpdate = async (event) => {
+    const resource = /** @type {Partial<Cart> | undefined} */ (event.detail?.resource);
+
+    try {
+      // Events fired after a failed cart change carry no cart
+      const hasCart = resource?.items && typeof resource.total_price === 'number';
+
+      this.update(hasCart ? /** @type {Cart} */ (resource) : await cartClient.get());
+    } catch (error) {
+      console.error('Error updating cart goals:', error);
+    }
+  };
+
+  /**
+   * Updates the progress bar, the goals and the message for a cart.
+   * @param {Cart} cart
+   */
+  update(cart) {
+    const { message, bar, goals = [] } = this.refs;
+    const total = getGoalTotal(cart);
+    const thresholds = this.goals.map((goal) => goal.threshold);
+    const maxThreshold = Math.max(0, ...thresholds);
+    const progress = maxThreshold > 0 ? Math.min(Math.max((total * 100) / maxThreshold, 0), 100) : 100;
+
+    bar.style.setProperty('--cart-goal-progress', `${progress.toFixed(2)}%`);
+    bar.setAttribute('aria-valuenow', Math.round(progress).toString());
+
+    for (const [index, element] of goals.entries()) {
+      const threshold = thresholds[index];
+      if (threshold === undefined) continue;
+
+      const position = maxThreshold > 0 ? (threshold * 100) / maxThreshold : 100;
+      element.style.setProperty('--cart-goal-position', `${position.toFixed(2)}%`);
+      element.classList.toggle('cart-goal-progress__goal--reached', total >= threshold);
+
+      const amount = element.querySelector('.cart-goal-progress__goal-amount');
+      if (amount) amount.textContent = this.#formatMoney(threshold, cart.currency, { stripTrailingZeros: true });
+    }
+
+    this.removeAttribute('data-thresholds-pending');
+
+    // Ties go to the goal listed first, like in the snippet
+    const nextGoal = this.goals.reduce(
+      (/** @type {CartGoal | undefined} */ next, goal) =>
+        goal.threshold > total && (!next || goal.threshold < next.threshold) ? goal : next,
+      undefined
+    );
+    const topGoal = this.goals.find((goal) => goal.threshold === maxThreshold);
+
+    const text = nextGoal
+      ? (this.dataset.remainingMessage ?? '')
+          .replace('{{ amount }}', this.#formatMoney(nextGoal.threshold - total, cart.currency))
+          .replace('{{ goal }}', nextGoal.label)
+      : (this.dataset.reachedMessage ?? '').replace('{{ goal }}', topGoal?.label ?? '');
+
+    // Only touch the live region when the message changes, so it isn't announced on every update
+    if (message.textContent?.trim() !== text) message.textContent = text;
+  }
+
+  /**
+   * @param {number} cents
+   * @param {string} [currency] - The cart currency, the one the section was rendered in by default
+   * @param {Parameters<typeof formatCents>[3]} [options]
+   * @returns {string}
+   */
+  #formatMoney(cents, currency = this.dataset.currency ?? '', options) {
+    const moneyFormat = this.refs.moneyFormat?.content.textContent?.trim() || '{{amount}}';
+
+    return formatCents(cents, moneyFormat, currency, options);
+  }
+}
+
+if (!customElements.get('cart-goal-progress-component')) {
+  customElements.define('cart-goal-progress-component', CartGoalProgressComponent);
+}
@@ -1,14 +1,12 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { cartClient } from '@theme/cart';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
 
 /**
  * A custom element that displays a cart note.
  */
 class CartNote extends Component {
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
   /**
    * Handles updates to the cart note.
    * @param {InputEvent} event - The input event in our text-area.
@@ -17,25 +15,12 @@ class CartNote extends Component {
     if (!(event.target instanceof HTMLTextAreaElement)) return;
 
     const note = event.target.value;
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      // A note still waiting in the queue is replaced by the newer one
+      await cartClient.update({ note }, { sections: false, silent: true, coalesceKey: 'note' });
     } catch (error) {
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
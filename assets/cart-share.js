@@ -0,0 +1,296 @@
+import { Component } from '@theme/component';
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
+import { cartClient, isCartError } from '@theme/cart';
+
+/** @typedef {import('./cart').Cart} Cart */
+
+/**
+ * A shared cart line: the variant ID, the quantity, then the line properties and the selling plan ID when set.
+ * @typedef {[number, number, Record<string, string>?, number?]} SharedLine
+ */
+
+/** The query parameter holding the shared cart */
+const CART_PARAM = 'shared_cart';
+
+/** The query parameter holding the checksum of the shared cart */
+const CHECKSUM_PARAM = 'shared_cart_checksum';
+
+/**
+ * Computes the checksum of a shared cart (32-bit FNV-1a), so links that were truncated or edited by hand are
+ * rejected instead of building a different cart. A theme has no secret to sign links with, so it isn't meant
+ * to stop anyone from crafting a link.
+ * @param {string} value - The encoded shared cart
+ * @returns {string}
+ */
+function checksum(value) {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Encodes cart lines into a URL-safe string.
+ * @param {SharedLine[]} lines
+ * @returns {string}
+ */
+function encodeLines(lines) {
+  const bytes = new TextEncoder().encode(JSON.stringify(lines));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes the cart lines of a shared cart.
+ * @param {string} value - The encoded shared cart
+ * @returns {SharedLine[] | null} The lines, or `null` when they're invalid
+ */
+function decodeLines(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const lines = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+
+    const isValid =
+      Array.isArray(lines) &&
+      lines.length > 0 &&
+      lines.every(
+        (line) => Array.isArray(line) && Number.isInteger(line[0]) && Number.isInteger(line[1]) && line[1] > 0
+      );
+
+    return isValid ? lines : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the link to share a cart, which opens the cart page and rebuilds the cart there.
+ * Free gifts are left out, they're added back by the `cart-free-gifts` component once the cart qualifies.
+ * @param {Cart} cart
+ * @returns {URL}
+ */
+function getShareUrl(cart) {
+  /** @type {SharedLine[]} */
+  const lines = cart.items
+    .filter((item) => item.properties?._auto_gift !== 'true')
+    .map((item) => {
+      const properties = item.properties && Object.keys(item.properties).length ? item.properties : undefined;
+      const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+
+      if (sellingPlan) return [item.variant_id, item.quantity, properties ?? {}, sellingPlan];
+      return properties ? [item.variant_id, item.quantity, properties] : [item.variant_id, item.quantity];
+    });
+
+  const value = encodeLines(lines);
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+
+  url.searchParams.set(CART_PARAM, value);
+  url.searchParams.set(CHECKSUM_PARAM, checksum(value));
+
+  return url;
+}
+
+/**
+ * A custom element that shares a link to the current cart, through the share sheet when the device has one,
+ * or by copying it to the clipboard.
+ *
+ * @typedef {object} ShareRefs
+ * @property {HTMLButtonElement} button - The share button.
+ * @property {HTMLElement} status - The live region confirming the link was copied.
+ *
+ * @extends {Component<ShareRefs>}
+ */
+class CartShareComponent extends Component {
+  requiredRefs = ['button', 'status'];
+
+  async share() {
+    const { button, status } = this.refs;
+
+    button.disabled = true;
+    status.textContent = '';
+
+    try {
+      const url = getShareUrl(await cartClient.get()).toString();
+
+      if (navigator.share && navigator.canShare?.({ url })) {
+        await navigator.share({ url });
+        return;
+      }
+
+      await navigator.clipboard.writeText(url);
+      status.textContent = this.dataset.copiedMessage ?? '';
+    } catch (error) {
+      // The shopper closing the share sheet isn't an error
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      console.error('Error sharing the cart:', error);
+      status.textContent = this.dataset.errorMessage ?? '';
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
+
+/**
+ * A custom element that rebuilds a shared cart when the page is opened from a shared cart link.
+ * When the visitor's cart already has items, a dialog asks whether to replace them.
+ *
+ * @typedef {object} RestoreRefs
+ * @property {HTMLDialogElement} dialog - The confirmation dialog.
+ * @property {HTMLElement} status - The live region reporting the outcome.
+ *
+ * @extends {DialogComponent}
+ */
+class CartRestoreComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'status'];
+
+  /**
+   * The shared lines waiting for the visitor to confirm
+   * @type {SharedLine[] | null}
+   */
+  #lines = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(DialogCloseEvent.eventName, this.#handleClose);
+
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(CART_PARAM);
+
+    if (!value) return;
+
+    const lines = checksum(value) === params.get(CHECKSUM_PARAM) ? decodeLines(value) : null;
+
+    if (!lines) {
+      this.#clearUrl();
+      this.#announce(this.dataset.invalidMessage);
+      return;
+    }
+
+    cartClient
+      .get()
+      .then((cart) => {
+        if (cart.item_count === 0) return this.#restore(lines);
+
+        this.#lines = lines;
+        this.showDialog();
+      })
+      .catch((error) => console.error('Error restoring the shared cart:', error));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(DialogCloseEvent.eventName, this.#handleClose);
+  }
+
+  /**
+   * Replaces the items of the visitor's cart with the shared ones.
+   */
+  async replaceCart() {
+    const lines = this.#lines;
+
+    await this.closeDialog();
+    if (lines) await this.#restore(lines);
+  }
+
+  /**
+   * Keeps the visitor's cart as is.
+   */
+  keepCart() {
+    this.closeDialog();
+  }
+
+  /**
+   * Drops the shared cart however the dialog was closed, replacing the cart being the caller's job.
+   */
+  #handleClose = () => {
+    this.#lines = null;
+    this.#clearUrl();
+  };
+
+  /**
+   * Adds the shared lines through the add route, then removes what the cart held before. The cart is left as is
+   * when the shared lines can't be added.
+   * @param {SharedLine[]} lines
+   */
+  async #restore(lines) {
+    this.#clearUrl();
+
+    try {
+      const previousItems = (await cartClient.get()).items;
+
+      const data = await cartClient.add(
+        {
+          items: lines.map(([id, quantity, properties, sellingPlan]) => ({
+            id,
+            quantity,
+            properties: properties ?? {},
+            ...(sellingPlan ? { selling_plan: sellingPlan } : {}),
+          })),
+        },
+        { sourceId: this.id, source: 'cart-restore', replacedKeys: previousItems.map(({ key }) => key) }
+      );
+
+      if (isCartError(data)) {
+        this.#announce(data.description || data.message);
+        return;
+      }
+
+      // A shared line matching a previous one is merged into it, so only the previous quantity is taken off
+      if (previousItems.length) {
+        await cartClient.update(
+          (cart) => ({
+            updates: Object.fromEntries(
+              previousItems.map(({ key, quantity }) => {
+                const item = cart.items.find((cartItem) => cartItem.key === key);
+
+                return [key, Math.max((item?.quantity ?? 0) - quantity, 0)];
+              })
+            ),
+          }),
+          { sourceId: this.id, source: 'cart-restore' }
+        );
+      }
+
+      this.#announce(this.dataset.restoredMessage);
+    } catch (error) {
+      console.error('Error restoring the shared cart:', error);
+      this.#announce(this.dataset.invalidMessage);
+    }
+  }
+
+  /**
+   * Removes the shared cart from the URL, so reloading the page doesn't restore it again.
+   */
+  #clearUrl() {
+    const url = new URL(window.location.href);
+
+    url.searchParams.delete(CART_PARAM);
+    url.searchParams.delete(CHECKSUM_PARAM);
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * @param {string} [message]
+   */
+  #announce(message = '') {
+    const { status } = /** @type {RestoreRefs} */ (this.refs);
+
+    status.textContent = message;
+  }
+}
+
+if (!customElements.get('cart-restore-component')) {
+  customElements.define('cart-restore-component', CartRestoreComponent);
+}
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { fetchConfig } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent, CartAddEvent, DiscountUpdateEvent } from '@theme/events';
+import { cartClient, isCartError } from '@theme/cart';
+import { discountManager } from '@theme/discount-manager';
+import { ThemeEvents, CartUpdateEvent, CartAddEvent } from '@theme/events';
 import { sectionRenderer } from '@theme/section-renderer';
 
 /**
@@ -14,15 +15,13 @@ class CartSuggestedProducts extends Component {
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.addEventListener(ThemeEvents.cartAdd, this.#handleCartUpdate);
-    
+
     this.#initializeButtons();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.cartAdd, this.#handleCartUpdate);
   }
 
   /**
@@ -30,13 +29,13 @@ class CartSuggestedProducts extends Component {
    * @param {CartUpdateEvent | CartAddEvent} event
    */
   #handleCartUpdate = async (event) => {
-    if (event.detail?.source === 'cart-suggested-products') {
+    if (event.detail?.data?.source === 'cart-suggested-products') {
       return;
     }
 
     const cartItemsComponent = this.closest('cart-items-component');
-    if (cartItemsComponent && cartItemsComponent.dataset.sectionId) {
-      await sectionRenderer.renderSection(cartItemsComponent.dataset.sectionId, { cache: false });
+    if (cartItemsComponent instanceof HTMLElement && cartItemsComponent.dataset.sectionId) {
+      await sectionRenderer.renderSections([cartItemsComponent.dataset.sectionId], { cache: false });
     }
   };
 
@@ -74,63 +73,23 @@ class CartSuggestedProducts extends Component {
       const formData = new FormData();
       formData.append('id', variantId);
       formData.append('quantity', '1');
+      // Marks the line so it isn't offered for restore once removed
+      formData.append('properties[_suggested_product]', 'true');
 
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionsToUpdate = new Set();
-      
-      cartItemsComponents.forEach((item) => {
-        if (item instanceof HTMLElement && item.dataset.sectionId) {
-          sectionsToUpdate.add(item.dataset.sectionId);
-        }
+      const data = await cartClient.add(formData, {
+        sourceId: 'cart-suggested-products',
+        source: 'cart-suggested-products',
+        data: { productId, variantId },
       });
 
-      const headerActionsSection = document.querySelector('header-actions');
-      if (headerActionsSection && headerActionsSection.id) {
-        const sectionId = headerActionsSection.id.replace('shopify-section-', '');
-        if (sectionId) {
-          sectionsToUpdate.add(sectionId);
-        }
-      }
-
-      if (sectionsToUpdate.size > 0) {
-        formData.append('sections', Array.from(sectionsToUpdate).join(','));
-      }
-
-      const response = await fetch(Theme.routes.cart_add_url, {
-        ...fetchConfig('javascript', { body: formData }),
-        headers: {
-          ...fetchConfig('javascript', { body: formData }).headers,
-          Accept: 'text/html',
-        },
-      });
-
-      const data = await response.json();
-
-      if (data.status) {
+      if (isCartError(data)) {
         console.error('Failed to add product:', data.message);
         button.disabled = false;
         button.textContent = '+ ADD';
         return;
       }
 
-      document.dispatchEvent(
-        new CartAddEvent(data, 'cart-suggested-products', {
-          source: 'cart-suggested-products',
-          sections: data.sections,
-        })
-      );
-
       await this.#applySuggestedProductDiscount();
-
-      if (data.sections) {
-        const cartItemsComponent = this.closest('cart-items-component');
-        if (cartItemsComponent && cartItemsComponent.dataset.sectionId) {
-          const sectionId = cartItemsComponent.dataset.sectionId;
-          if (data.sections[sectionId]) {
-            await sectionRenderer.renderSection(sectionId, { cache: false });
-          }
-        }
-      }
     } catch (error) {
       console.error('Error adding product to cart:', error);
       button.disabled = false;
@@ -146,34 +105,11 @@ class CartSuggestedProducts extends Component {
   async #applySuggestedProductDiscount() {
     try {
       const discountCode = 'SUGGESTED5';
-      
-      const cartItemsComponents = document.querySelectorAll('cart-items-component');
-      const sectionsToUpdate = new Set();
-      
-      cartItemsComponents.forEach((item) => {
-        if (item instanceof HTMLElement && item.dataset.sectionId) {
-          sectionsToUpdate.add(item.dataset.sectionId);
-        }
-      });
-
-      if (sectionsToUpdate.size === 0) return;
-
-      const body = JSON.stringify({
-        discount: discountCode,
-        sections: Array.from(sectionsToUpdate).join(','),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-      });
 
-      const responseText = await response.text();
-      const discountData = JSON.parse(responseText);
+      const { rejected } = await discountManager.apply([discountCode], { sourceId: 'cart-suggested-products' });
 
-      if (discountData && !discountData.errors) {
-        document.dispatchEvent(
-          new DiscountUpdateEvent(discountData, 'cart-suggested-products')
-        );
+      if (rejected.length > 0) {
+        console.warn('Suggested product discount code not applicable:', rejected.join(', '));
       }
     } catch (error) {
       console.log('Discount code not applied (may not be configured):', error);
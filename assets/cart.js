@@ -0,0 +1,392 @@
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent } from '@theme/events';
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {string} key
+ * @property {number} variant_id
+ * @property {number} product_id
+ * @property {number} quantity
+ * @property {string} [title]
+ * @property {string} [product_title]
+ * @property {string} [url]
+ * @property {number} [line_price]
+ * @property {number} [final_line_price]
+ * @property {Record<string, string>} [properties]
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation]
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} [token]
+ * @property {string} [note]
+ * @property {string} [currency]
+ * @property {number} item_count
+ * @property {number} total_price
+ * @property {number} [original_total_price]
+ * @property {number} [total_discount]
+ * @property {CartLineItem[]} items
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes]
+ */
+
+/**
+ * The response of a cart mutation: the cart for `change` and `update`, the added items for `add`,
+ * or the error payload (`status` for `add`, `errors` for `change` and `update`), with `refused` set when the
+ * cart client refused the mutation without sending it. Includes the rendered `sections` when any were requested.
+ * @typedef {Record<string, any>} CartResponse
+ */
+
+/**
+ * @typedef {Object} CartMutationOptions
+ * @property {string} [sourceId] - The id of the element the mutation was triggered from
+ * @property {string} [source] - The source reported in the cart event
+ * @property {EventTarget} [target] - The element to dispatch the cart event from, defaults to the document
+ * @property {Record<string, unknown>} [data] - Additional cart event data, overrides the defaults
+ * @property {string[] | false} [sections] - Section IDs to render along with the cart sections, `false` for none
+ * @property {string} [sectionsUrl] - The URL to render the sections for, defaults to the current page
+ * @property {string} [coalesceKey] - Queued mutations sharing this key are merged so only the last one is sent
+ * @property {boolean} [silent] - Whether to skip the cart event
+ * @property {string[]} [replacedKeys] - The keys of the lines an add replaces, left out of the pre-order check
+ * @property {AbortSignal} [signal] - Aborts the mutation
+ */
+
+/**
+ * A mutation body, or a function building it from the cart as it is right before the mutation is sent.
+ * Use a function when the body depends on the cart, so mutations queued before it are taken into account.
+ * @typedef {FormData | Record<string, unknown> | ((cart: Cart) => FormData | Record<string, unknown>)} CartMutationBody
+ */
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {'add' | 'change' | 'update'} type
+ * @property {CartMutationBody} body
+ * @property {CartMutationOptions} options
+ * @property {Promise<CartResponse>} promise
+ * @property {(response: CartResponse) => void} resolve
+ * @property {(error: unknown) => void} reject
+ */
+
+/**
+ * Gets the IDs of the sections to re-render after a cart mutation.
+ * @returns {string[]} The section IDs of every cart items component on the page
+ */
+export function getCartSectionIds() {
+  /** @type {Set<string>} */
+  const sectionIds = new Set();
+
+  for (const element of document.querySelectorAll('cart-items-component')) {
+    if (element instanceof HTMLElement && element.dataset.sectionId) {
+      sectionIds.add(element.dataset.sectionId);
+    }
+  }
+
+  return Array.from(sectionIds);
+}
+
+/**
+ * Checks whether a cart mutation response is an error.
+ * @param {CartResponse} response - The cart mutation response
+ * @returns {boolean}
+ */
+export function isCartError(response) {
+  return Boolean(response.status || response.errors);
+}
+
+/**
+ * Gets the lines of an add body.
+ * @param {FormData | Record<string, unknown>} body - The product form data, or a body with `items`
+ * @returns {{ properties?: Record<string, unknown> }[]}
+ */
+function getAddedItems(body) {
+  if (body instanceof FormData) {
+    const properties = {
+      _auto_gift: body.get('properties[_auto_gift]'),
+      _preorder: body.get('properties[_preorder]'),
+    };
+
+    return [{ properties }];
+  }
+
+  return Array.isArray(body.items) ? body.items : [];
+}
+
+/**
+ * Checks whether an add would mix pre-orders, marked by their `_preorder` property, with items in stock.
+ * Free gifts are added automatically, so they're left out.
+ * @param {CartLineItem[]} items - The lines of the cart
+ * @param {FormData | Record<string, unknown>} body - The add body
+ * @returns {boolean}
+ */
+function isPreorderMixed(items, body) {
+  const preorders = [...items, ...getAddedItems(body)]
+    .filter((item) => item.properties?._auto_gift !== 'true')
+    .map((item) => Boolean(item.properties?._preorder));
+
+  return preorders.includes(true) && preorders.includes(false);
+}
+
+/**
+ * A client for the Cart AJAX API shared by all cart components.
+ * Mutations run one at a time in the order they were made, so responses can't arrive out of order,
+ * and each successful mutation dispatches a single cart event carrying the latest cart. Failed adds dispatch
+ * a cart error event instead, including the ones refused because the theme settings don't allow pre-orders
+ * and items in stock to be ordered together.
+ */
+class CartClient {
+  /**
+   * The mutations waiting to be sent
+   * @type {CartMutation[]}
+   */
+  #queue = [];
+
+  /**
+   * Settles once the queue is empty
+   * @type {Promise<void> | null}
+   */
+  #draining = null;
+
+  /**
+   * The latest known cart
+   * @type {Cart | null}
+   */
+  #state = null;
+
+  /**
+   * The pending request for the cart, along with the number of mutations settled when it was sent
+   * @type {{ promise: Promise<Cart>, mutationCount: number } | null}
+   */
+  #pendingRefresh = null;
+
+  /**
+   * The number of mutations the server responded to, so carts fetched before the latest one are dropped
+   */
+  #mutationCount = 0;
+
+  /**
+   * The latest known cart, `null` until it's been fetched or mutated
+   * @returns {Cart | null}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Gets the cart once all queued mutations have settled.
+   * @returns {Promise<Cart>}
+   */
+  async get() {
+    await this.#draining;
+
+    return this.#state ?? this.refresh();
+  }
+
+  /**
+   * Fetches the cart, sharing the request with any other caller while it's pending.
+   * A request sent before a mutation settled may return the cart before it, so it's sent again instead.
+   * @returns {Promise<Cart>}
+   */
+  refresh() {
+    const mutationCount = this.#mutationCount;
+
+    if (this.#pendingRefresh?.mutationCount === mutationCount) return this.#pendingRefresh.promise;
+
+    /** @type {Promise<Cart>} */
+    const promise = fetch(`${Theme.routes.cart_url}.js`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Cart fetch failed: ${response.status}`);
+        return response.json();
+      })
+      .then((cart) => {
+        if (mutationCount !== this.#mutationCount) return this.refresh();
+
+        this.#state = cart;
+        return cart;
+      })
+      .finally(() => {
+        if (this.#pendingRefresh?.promise === promise) this.#pendingRefresh = null;
+      });
+
+    this.#pendingRefresh = { promise, mutationCount };
+
+    return promise;
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {CartMutationBody} body - The product form data, or a body with `items`
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartResponse>}
+   */
+  add(body, options) {
+    return this.#enqueue('add', body, options);
+  }
+
+  /**
+   * Changes the quantity or properties of a cart line.
+   * @param {CartMutationBody} body - The line (`line` or `id`) and its changes
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartResponse>}
+   */
+  change(body, options) {
+    return this.#enqueue('change', body, options);
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discounts of the cart.
+   * @param {CartMutationBody} body - The updates
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartResponse>}
+   */
+  update(body, options) {
+    return this.#enqueue('update', body, options);
+  }
+
+  /**
+   * Queues a mutation, merging it with a queued one that shares its coalesce key.
+   * @param {CartMutation['type']} type
+   * @param {CartMutation['body']} body
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartResponse>}
+   */
+  #enqueue(type, body, options = {}) {
+    const { coalesceKey } = options;
+    const queued = coalesceKey
+      ? this.#queue.find((mutation) => mutation.type === type && mutation.options.coalesceKey === coalesceKey)
+      : undefined;
+
+    if (queued) {
+      queued.body = body;
+      queued.options = options;
+      return queued.promise;
+    }
+
+    /** @type {CartMutation} */
+    const mutation = /** @type {any} */ ({ type, body, options });
+    mutation.promise = new Promise((resolve, reject) => {
+      mutation.resolve = resolve;
+      mutation.reject = reject;
+    });
+
+    this.#queue.push(mutation);
+
+    if (!this.#draining) this.#draining = this.#drain();
+
+    return mutation.promise;
+  }
+
+  /**
+   * Sends the queued mutations one after the other.
+   */
+  async #drain() {
+    let mutation;
+
+    while ((mutation = this.#queue.shift())) {
+      try {
+        mutation.resolve(await this.#send(mutation));
+      } catch (error) {
+        mutation.reject(error);
+      }
+    }
+
+    this.#draining = null;
+  }
+
+  /**
+   * Sends a mutation, then updates the cart state and dispatches the cart event.
+   * @param {CartMutation} mutation
+   * @returns {Promise<CartResponse>}
+   */
+  async #send({ type, body: mutationBody, options }) {
+    const { signal, sections = [], sectionsUrl = window.location.pathname } = options;
+
+    signal?.throwIfAborted();
+
+    const body = typeof mutationBody === 'function' ? mutationBody(this.#state ?? (await this.refresh())) : mutationBody;
+
+    if (type === 'add' && Theme.settings.allow_mixed_preorder_cart === false) {
+      // Letting the shopper add the items beats blocking them on a failed request
+      const cart = this.#state ?? (await this.refresh().catch((error) => console.error(error)));
+      const items = cart?.items.filter((item) => !options.replacedKeys?.includes(item.key)) ?? [];
+
+      if (isPreorderMixed(items, body)) {
+        const message = Theme.translations.preorder_mixing_error ?? '';
+
+        return this.#fail({ status: 422, message, description: message, errors: {}, refused: true }, options);
+      }
+    }
+
+    const sectionIds = sections === false ? [] : Array.from(new Set([...sections, ...getCartSectionIds()]));
+    const url = {
+      add: Theme.routes.cart_add_url,
+      change: Theme.routes.cart_change_url,
+      update: Theme.routes.cart_update_url,
+    }[type];
+
+    let config;
+
+    if (body instanceof FormData) {
+      if (sectionIds.length) {
+        body.set('sections', sectionIds.join(','));
+        body.set('sections_url', sectionsUrl);
+      }
+
+      config = fetchConfig('javascript', { body });
+    } else {
+      const payload = sectionIds.length ? { ...body, sections: sectionIds.join(','), sections_url: sectionsUrl } : body;
+
+      config = fetchConfig('json', { body: JSON.stringify(payload) });
+    }
+
+    const response = await fetch(url, { ...config, signal });
+    this.#mutationCount += 1;
+
+    /** @type {CartResponse} */
+    const data = await response.json();
+
+    if (type === 'add') {
+      // The add endpoint only returns the added items, and may add up to the available quantity when it errors.
+      // The mutation count changed, so this sends a new request rather than reusing one sent before the add.
+      await this.refresh().catch((error) => console.error(error));
+    }
+
+    if (isCartError(data)) return type === 'add' ? this.#fail(data, options) : data;
+
+    if (type !== 'add') {
+      const { sections: _sections, ...cart } = data;
+      this.#state = /** @type {Cart} */ (cart);
+    }
+
+    if (!options.silent) {
+      const EventClass = type === 'add' ? CartAddEvent : CartUpdateEvent;
+
+      (options.target ?? document).dispatchEvent(
+        new EventClass(this.#state ?? {}, options.sourceId ?? '', {
+          source: options.source,
+          itemCount: this.#state?.item_count,
+          sections: data.sections,
+          ...options.data,
+        })
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Dispatches the cart error event of a failed add.
+   * @param {CartResponse} data - The error payload
+   * @param {CartMutationOptions} options
+   * @returns {CartResponse}
+   */
+  #fail(data, options) {
+    if (!options.silent) {
+      (options.target ?? document).dispatchEvent(
+        new CartErrorEvent(options.sourceId ?? '', data.message, data.description, data.errors)
+      );
+    }
+
+    return data;
+  }
+}
+
+export const cartClient = new CartClient();
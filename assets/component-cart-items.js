@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { cartClient, isCartError } from '@theme/cart';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +10,43 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { discountManager } from '@theme/discount-manager';
+import { savedForLater } from '@theme/saved-for-later';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartLineItem} CartLineItem */
+/** @typedef {import('./cart').CartMutationOptions} CartMutationOptions */
+
+/**
+ * Checks whether a removed cart line can be restored. Free gifts and suggested products are managed by their own
+ * components, so restoring them would fight with those.
+ * @param {CartLineItem} item - The removed cart line
+ * @returns {boolean}
+ */
+function isRestorable(item) {
+  return item.properties?._auto_gift !== 'true' && item.properties?._suggested_product !== 'true';
+}
+
+/**
+ * Gets the quantities of the lines of a bundle once one of its lines is changed. Bundles are only added or removed
+ * as a whole, so every line keeps its quantity in one bundle, set in its `_bundle_quantity` property.
+ * @param {HTMLElement[]} rows - The rows of the lines of the bundle
+ * @param {HTMLElement} changedRow - The row of the changed line
+ * @param {number} quantity - The quantity picked for the changed line, 0 to remove the bundle
+ * @returns {Record<string, number>} The quantities by line key
+ */
+function getBundleUpdates(rows, changedRow, quantity) {
+  const unit = Number(changedRow.dataset.bundleQuantity) || 1;
+
+  // Rounds in the direction the quantity changed, so each step adds or removes a bundle
+  const bundleCount =
+    quantity > Number(changedRow.dataset.quantity) ? Math.ceil(quantity / unit) : Math.floor(quantity / unit);
+
+  return Object.fromEntries(
+    rows.map((row) => [row.dataset.key ?? '', bundleCount * (Number(row.dataset.bundleQuantity) || 1)])
+  );
+}
 
 /**
  * A custom element that displays a cart items component.
@@ -19,12 +55,26 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [undo] - The undo toast container, with its settings in data attributes.
+ * @property {HTMLElement} [undoStatus] - The live region announcing removed and restored lines.
+ * @property {HTMLElement} [undoToast] - The undo toast.
+ * @property {HTMLElement} [undoMessage] - The undo toast message.
+ * @property {HTMLButtonElement} [undoButton] - The undo button.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The last removed line, until it's restored or the undo toast closes
+   * @type {CartLineItem | null}
+   */
+  #removedLine = null;
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #undoTimeout;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -38,6 +88,7 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    clearTimeout(this.#undoTimeout);
   }
 
   /**
@@ -61,12 +112,14 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#getRow(line);
 
     if (!lineItemRow) return;
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
+    for (const row of this.#getBundleRows(lineItemRow) ?? [lineItemRow]) {
+      const textComponent = /** @type {TextComponent | undefined} */ (row.querySelector('text-component'));
+      textComponent?.shimmer();
+    }
   }
 
   /**
@@ -80,14 +133,40 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    this.#animateLineRemoval(line);
+  }
+
+  /**
+   * Moves a line item from the cart to the saved for later list.
+   * @param {number} line - The line item index.
+   */
+  onLineItemSaveForLater(line) {
+    this.updateQuantity({
+      line,
+      quantity: 0,
+      action: 'save-for-later',
+    });
+
+    this.#animateLineRemoval(line);
+  }
+
+  /**
+   * Animates the rows of a removed line item out.
+   * @param {number} line - The line item index.
+   */
+  #animateLineRemoval(line) {
+    const cartItemRowToRemove = this.#getRow(line);
 
     if (!cartItemRowToRemove) return;
 
+    // The other lines of its bundle are removed along with it
+    const removedRows = this.#getBundleRows(cartItemRowToRemove) ?? [cartItemRowToRemove];
+    const removedKeys = removedRows.map((row) => row.dataset.key);
+
     const rowsToRemove = [
-      cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
+      ...removedRows,
+      // Get all nested lines of the rows to remove
+      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey && removedKeys.includes(row.dataset.parentKey)),
     ];
 
     // Add class to the row to trigger the animation
@@ -104,6 +183,27 @@ class CartItemsComponent extends Component {
     });
   }
 
+  /**
+   * Gets the row of a line. Rows aren't in the order of the lines, free gifts are listed last.
+   * @param {number} line - The line item index.
+   * @returns {HTMLTableRowElement | undefined}
+   */
+  #getRow(line) {
+    return this.refs.cartItemRows.find((row) => row.dataset.line === String(line));
+  }
+
+  /**
+   * Gets the rows of the bundle a line belongs to.
+   * @param {HTMLElement | undefined} row - The row of the line
+   * @returns {HTMLElement[] | undefined} The rows of all the lines of the bundle, `undefined` when it isn't in one
+   */
+  #getBundleRows(row) {
+    const bundleId = row?.dataset.bundleId;
+    if (!bundleId) return undefined;
+
+    return this.refs.cartItemRows.filter((bundleRow) => bundleRow.dataset.bundleId === bundleId);
+  }
+
   /**
    * Updates the quantity.
    * @param {Object} config - The config.
@@ -116,63 +216,74 @@ class CartItemsComponent extends Component {
 
     this.#disableCartItems();
 
-    const { line, quantity } = config;
+    const { line, quantity, action } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    /** @type {CartLineItem | undefined} */
+    let removedLine;
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+    /** @type {CartMutationOptions} */
+    const options = {
+      target: this,
+      sourceId: this.sectionId,
+      source: 'cart-items-component',
+      sections: [this.sectionId],
+      // Only the last quantity picked for a line needs to reach the server
+      coalesceKey: `line-${line}`,
+    };
+
+    const changedRow = this.#getRow(line);
+    const bundleRows = this.#getBundleRows(changedRow);
+
+    const request =
+      changedRow && bundleRows
+        ? cartClient.update(
+            { updates: getBundleUpdates(bundleRows, changedRow, quantity) },
+            { ...options, coalesceKey: `bundle-${changedRow.dataset.bundleId}` }
+          )
+        : cartClient.change(
+            // Read the line right before it's removed, so it's the one the server removes and it can be restored
+            (cart) => {
+              if (quantity === 0) removedLine = cart.items[line - 1];
+              return { line, quantity };
+            },
+            options
+          );
+
+    request
+      .then((data) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
+        if (data.errors) {
+          this.#handleCartError(line, { errors: data.errors });
           return;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+        // Update data-cart-quantity for all matching variants
+        this.#updateQuantitySelectors(data);
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        const sectionHTML = data.sections?.[this.sectionId];
+        if (sectionHTML) morphSection(this.sectionId, sectionHTML);
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+        this.#updateCartQuantitySelectorButtonStates();
 
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+        // The discount code of a bundle goes with the last line carrying it
+        const bundleDiscount = changedRow?.dataset.bundleDiscount;
+        const items = cartClient.state?.items ?? [];
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        if (bundleDiscount && !items.some((item) => item.properties?._bundle_discount === bundleDiscount)) {
+          discountManager
+            .remove([bundleDiscount], { sourceId: this.sectionId })
+            .catch((error) => console.error('Error removing the bundle discount:', error));
+        }
 
-        this.#updateCartQuantitySelectorButtonStates();
+        if (removedLine && action === 'save-for-later') {
+          this.#saveForLater(removedLine);
+        } else if (removedLine && isRestorable(removedLine)) {
+          this.#showUndo(removedLine);
+        }
       })
       .catch((error) => {
         console.error(error);
@@ -183,6 +294,176 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Restores the last removed line with its quantity, properties and selling plan.
+   */
+  async undoLineItemRemove() {
+    const item = this.#removedLine;
+    const { undo } = this.refs;
+
+    if (!item) return;
+
+    this.#hideUndo();
+    this.#disableCartItems();
+
+    try {
+      const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+      const data = await cartClient.add(
+        {
+          items: [
+            {
+              id: item.variant_id,
+              quantity: item.quantity,
+              properties: item.properties ?? {},
+              ...(sellingPlan ? { selling_plan: sellingPlan } : {}),
+            },
+          ],
+        },
+        {
+          target: this,
+          sourceId: this.sectionId,
+          source: 'cart-items-component',
+          sections: [this.sectionId],
+          data: { productId: item.product_id.toString(), variantId: item.variant_id.toString() },
+        }
+      );
+
+      if (isCartError(data)) {
+        this.#announce(data.description || data.message || '');
+        return;
+      }
+
+      const sectionHTML = data.sections?.[this.sectionId];
+      if (sectionHTML) morphSection(this.sectionId, sectionHTML);
+
+      this.#updateCartQuantitySelectorButtonStates();
+      this.#announce((undo?.dataset.restoredMessage ?? '').replace('{{ title }}', this.#getLineTitle(item)));
+
+      // The undo button is gone, so move focus to the restored line
+      const restoredKey = data.items?.[0]?.key;
+      const restoredRow = this.refs.cartItemRows.find((row) => row.dataset.key === restoredKey);
+      this.#focusLine(restoredRow);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      this.#enableCartItems();
+    }
+  }
+
+  /**
+   * Adds a removed line to the saved for later list.
+   * @param {CartLineItem} item - The removed line
+   */
+  #saveForLater(item) {
+    const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+
+    savedForLater
+      .add({
+        variantId: item.variant_id,
+        productId: item.product_id,
+        url: item.url,
+        quantity: item.quantity,
+        properties: item.properties ?? {},
+        ...(sellingPlan ? { sellingPlan } : {}),
+      })
+      .catch((error) => console.error('Error saving item for later:', error));
+  }
+
+  /**
+   * Stops the undo toast from closing while the shopper interacts with it.
+   */
+  pauseUndo() {
+    clearTimeout(this.#undoTimeout);
+  }
+
+  /**
+   * Restarts the undo window once the shopper stops interacting with the toast.
+   */
+  resumeUndo() {
+    const { undoToast } = this.refs;
+
+    if (!this.#removedLine || undoToast?.matches(':hover, :focus-within')) return;
+
+    this.#startUndoTimeout();
+  }
+
+  /**
+   * Shows the undo toast for a removed line.
+   * @param {CartLineItem} item - The removed line
+   */
+  #showUndo(item) {
+    const { undo, undoToast, undoMessage, undoButton } = this.refs;
+
+    if (!undo || !undoToast || !undoMessage) return;
+
+    const message = (undo.dataset.removedMessage ?? '').replace('{{ title }}', this.#getLineTitle(item));
+
+    this.#removedLine = item;
+    undoMessage.textContent = message;
+    undoToast.hidden = false;
+    this.#announce(message);
+
+    // Focus is lost when the focused remove button goes away with its line
+    if (!document.activeElement || document.activeElement === document.body) undoButton?.focus();
+
+    this.#startUndoTimeout();
+  }
+
+  /**
+   * Hides the undo toast, after which the removed line can't be restored anymore.
+   */
+  #hideUndo() {
+    const { undoToast } = this.refs;
+
+    clearTimeout(this.#undoTimeout);
+    this.#removedLine = null;
+
+    if (!undoToast || undoToast.hidden) return;
+
+    const hadFocus = undoToast.contains(document.activeElement);
+    undoToast.hidden = true;
+
+    if (hadFocus) this.#focusLine(this.refs.cartItemRows[0]);
+  }
+
+  /**
+   * Closes the undo toast once the undo window set in theme settings is over.
+   */
+  #startUndoTimeout() {
+    const duration = Number(this.refs.undo?.dataset.duration) || 8;
+
+    clearTimeout(this.#undoTimeout);
+    this.#undoTimeout = setTimeout(() => this.#hideUndo(), duration * 1000);
+  }
+
+  /**
+   * Announces a message through the live region of the undo toast.
+   * @param {string} message - The message
+   */
+  #announce(message) {
+    const { undoStatus } = this.refs;
+
+    if (undoStatus) undoStatus.textContent = message;
+  }
+
+  /**
+   * Moves focus to the first control of a cart line.
+   * @param {HTMLElement | undefined} row - The cart line row
+   */
+  #focusLine(row) {
+    const control = row?.querySelector('a[href], button:not([hidden]), input');
+
+    if (control instanceof HTMLElement) control.focus();
+  }
+
+  /**
+   * @param {CartLineItem} item - The cart line
+   * @returns {string} The title of the line
+   */
+  #getLineTitle(item) {
+    return item.product_title ?? item.title ?? '';
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -198,7 +479,8 @@ class CartItemsComponent extends Component {
    * @param {string} parsedResponseText.errors - The errors.
    */
   #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
+    const row = this.#getRow(line);
+    const quantitySelector = this.refs.quantitySelectors.find((selector) => row?.contains(selector));
     const quantityInput = quantitySelector?.querySelector('input');
 
     if (!quantityInput) throw new Error('Quantity input not found');
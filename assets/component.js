@@ -92,6 +92,17 @@ export class Component extends DeclarativeShadowElement {
     this.#updateRefs();
   }
 
+  /**
+   * Called when the element, or the element with a `data-morph-key` holding it, is added to a list by a morph.
+   */
+  morphEnterCallback() {}
+
+  /**
+   * Called when the element, or the element with a `data-morph-key` holding it, is removed from a list by a morph.
+   * @returns {Promise<unknown> | void} A promise to wait for before the element is removed, e.g. an animation
+   */
+  morphLeaveCallback() {}
+
   /**
    * Called when the element is disconnected from the document's DOM.
    *
@@ -0,0 +1,123 @@
+import { cartClient, isCartError } from '@theme/cart';
+import { DiscountUpdateEvent } from '@theme/events';
+
+/** @typedef {import('./cart').Cart} Cart */
+/** @typedef {import('./cart').CartResponse} CartResponse */
+
+/**
+ * @typedef {Object} DiscountUpdateOptions
+ * @property {string} [sourceId] - The id of the element the update was triggered from
+ * @property {string[]} [sections] - The section IDs to render, none by default
+ * @property {AbortSignal} [signal] - Aborts the update
+ */
+
+/**
+ * @typedef {Object} DiscountUpdateResult
+ * @property {CartResponse} cart - The cart update response
+ * @property {string[]} added - The discount codes applied to the cart
+ * @property {string[]} removed - The discount codes removed from the cart
+ * @property {string[]} rejected - The requested discount codes Shopify marked as not applicable
+ */
+
+/**
+ * Gets the discount codes of a cart.
+ * @param {Partial<Cart>} cart - The cart
+ * @returns {string[]}
+ */
+function getDiscountCodes(cart) {
+  return (cart.discount_codes ?? []).map(({ code }) => code);
+}
+
+/**
+ * Checks whether a list of discount codes contains a code, ignoring case like Shopify does.
+ * @param {string[]} codes - The discount codes
+ * @param {string} code - The discount code to look for
+ * @returns {boolean}
+ */
+function includesCode(codes, code) {
+  return codes.some((existingCode) => existingCode.toLowerCase() === code.toLowerCase());
+}
+
+/**
+ * Adds and removes cart discount codes without dropping the other codes already applied.
+ * The codes are merged right before the update is sent, so updates made from different components can't
+ * overwrite each other, and a `DiscountUpdateEvent` listing the codes that changed is dispatched afterwards.
+ */
+class DiscountManager {
+  /**
+   * The discount codes of the latest known cart
+   * @returns {string[]}
+   */
+  get codes() {
+    return cartClient.state ? getDiscountCodes(cartClient.state) : [];
+  }
+
+  /**
+   * Applies discount codes to the cart.
+   * @param {string[]} codes - The discount codes to apply
+   * @param {DiscountUpdateOptions} [options]
+   * @returns {Promise<DiscountUpdateResult>}
+   */
+  apply(codes, options) {
+    return this.#update(codes, [], options);
+  }
+
+  /**
+   * Removes discount codes from the cart.
+   * @param {string[]} codes - The discount codes to remove
+   * @param {DiscountUpdateOptions} [options]
+   * @returns {Promise<DiscountUpdateResult>}
+   */
+  remove(codes, options) {
+    return this.#update([], codes, options);
+  }
+
+  /**
+   * @param {string[]} codesToApply
+   * @param {string[]} codesToRemove
+   * @param {DiscountUpdateOptions} [options]
+   * @returns {Promise<DiscountUpdateResult>}
+   */
+  async #update(codesToApply, codesToRemove, options = {}) {
+    const { sourceId = '', sections, signal } = options;
+
+    /** @type {string[]} */
+    let previousCodes = [];
+
+    const cart = await cartClient.update(
+      (currentCart) => {
+        previousCodes = getDiscountCodes(currentCart);
+
+        const codes = [...previousCodes];
+        for (const code of codesToApply) {
+          if (!includesCode(codes, code)) codes.push(code);
+        }
+
+        return { discount: codes.filter((code) => !includesCode(codesToRemove, code)).join(',') };
+      },
+      { sourceId, sections: sections ?? false, signal, silent: true }
+    );
+
+    if (isCartError(cart)) return { cart, added: [], removed: [], rejected: [] };
+
+    /** @type {NonNullable<Cart['discount_codes']>} */
+    const discountCodes = cart.discount_codes ?? [];
+    const currentCodes = getDiscountCodes(cart);
+
+    const rejected = discountCodes
+      .filter(({ code, applicable }) => !applicable && includesCode(codesToApply, code))
+      .map(({ code }) => code);
+    const added = discountCodes
+      .filter(({ code, applicable }) => applicable && !includesCode(previousCodes, code))
+      .map(({ code }) => code);
+    const removed = previousCodes.filter((code) => !includesCode(currentCodes, code));
+
+    if (added.length || removed.length) {
+      document.dispatchEvent(new DiscountUpdateEvent(cart, sourceId, { added, removed, rejected }));
+    }
+
+    return { cart, added, removed, rejected };
+  }
+}
+
+export const discountManager = new DiscountManager();
@@ -26,8 +26,17 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when the saved for later list changes */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when the purchase option of a product form changes */
+  static sellingPlanUpdate = 'selling-plan:update';
 }
 
+/**
+ * The price of a variant with a selling plan, and without it, in cents
+ * @typedef {{ selling_plan_id: number, price: number, compare_at_price: number }} SellingPlanAllocation
+ */
+
 /**
  * Event fired when a variant is selected
  * @extends {Event}
@@ -56,15 +65,24 @@ export class VariantUpdateEvent extends Event {
    * @param {Object} resource - The new variant object
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
-   * @param {boolean} resource.inventory_management - Whether the variant has inventory management
+   * @param {string | null} resource.inventory_management - The service tracking the inventory, `shopify` or an app
    * @param {string} [resource.sku] - The SKU of the variant
+   * @param {number} [resource.price] - The price of the variant, in cents
+   * @param {number | null} [resource.compare_at_price] - The compare at price of the variant, in cents
+   * @param {string | null} [resource.inventory_policy] - Whether the variant can be sold out of stock (`continue`)
+   * @param {number} [resource.inventory_quantity] - The inventory quantity of the variant
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
    * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
+   * @param {SellingPlanAllocation[]} [resource.selling_plan_allocations] - The prices with the selling plans
+   * @param {string[]} [resource.options] - The option values of the variant, in the order of the product options
+   * @param {boolean} [resource.preorder] - Whether the variant is sold on pre-order
+   * @param {string} [resource.preorder_ship_date] - The formatted date the pre-order is expected to ship
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document} [data.html] - The new document fragment for the variant. Missing when the variant picker
+   * resolved the variant on its own, in which case another event with the section HTML follows
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
@@ -189,7 +207,7 @@ export class QuantitySelectorUpdateEvent extends Event {
 }
 
 /**
- * Event class for quantity-selector updates
+ * Event class for discount code updates
  * @extends {Event}
  */
 export class DiscountUpdateEvent extends Event {
@@ -197,12 +215,61 @@ export class DiscountUpdateEvent extends Event {
    * Creates a new DiscountUpdateEvent
    * @param {Object} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} [data] - Additional event data
+   * @param {string[]} [data.added] - The discount codes applied to the cart
+   * @param {string[]} [data.removed] - The discount codes removed from the cart
+   * @param {string[]} [data.rejected] - The requested discount codes Shopify marked as not applicable
    */
-  constructor(resource, sourceId) {
+  constructor(resource, sourceId, data) {
     super(ThemeEvents.discountUpdate, { bubbles: true });
     this.detail = {
       resource,
       sourceId,
+      data: {
+        added: data?.added ?? [],
+        removed: data?.removed ?? [],
+        rejected: data?.rejected ?? [],
+      },
+    };
+  }
+}
+
+/**
+ * Event class for saved for later list updates
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {import('./saved-for-later').SavedItem[]} items - The saved items
+   */
+  constructor(items) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
+
+/**
+ * Event class for purchase option changes, between buying a product once and subscribing with a selling plan
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {{ id: string, price: number, compare_at_price: number } | null} resource - The selected selling plan,
+   * with the price of the variant with and without it in cents, or `null` for a one-time purchase
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The id of the product the selling plan applies to
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data,
     };
   }
 }
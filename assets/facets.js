@@ -1,7 +1,10 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { DialogComponent } from '@theme/dialog';
+import { debounce, formatMoney, pushHistoryState, startViewTransition } from '@theme/utilities';
+import { formatCents } from '@theme/money';
+import PaginatedList from '@theme/paginated-list';
 
 /**
  * Search query parameter.
@@ -9,6 +12,32 @@ import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * Page query parameter.
+ * @type {string}
+ */
+const PAGE = 'page';
+
+/**
+ * The URL the filtered sections were last rendered for, to tell what a history entry changes.
+ * @type {URL}
+ */
+let renderedURL = new URL(window.location.href);
+
+/**
+ * Gets the query parameters that select the results of a URL, which are all of them but the page.
+ * @param {URL} url
+ * @returns {string}
+ */
+function getResultsQuery(url) {
+  const parameters = new URLSearchParams(url.search);
+
+  parameters.delete(PAGE);
+  parameters.sort();
+
+  return parameters.toString();
+}
+
 /**
  * Handles the main facets form functionality
  *
@@ -32,7 +61,7 @@ class FacetsFormComponent extends Component {
     if (newParameters.get('filter.v.price.gte') === '') newParameters.delete('filter.v.price.gte');
     if (newParameters.get('filter.v.price.lte') === '') newParameters.delete('filter.v.price.lte');
 
-    newParameters.delete('page');
+    newParameters.delete(PAGE);
 
     const searchQuery = this.#getSearchQuery();
     if (searchQuery) newParameters.set(SEARCH_QUERY, searchQuery);
@@ -67,7 +96,7 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+    pushHistoryState({ urlParameters: urlParameters.toString() }, url);
   }
 
   /**
@@ -83,6 +112,8 @@ class FacetsFormComponent extends Component {
    * Updates the section
    */
   #updateSection() {
+    renderedURL = new URL(window.location.href);
+
     const viewTransition = !this.closest('dialog');
 
     if (viewTransition) {
@@ -97,12 +128,88 @@ class FacetsFormComponent extends Component {
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    pushHistoryState({}, url);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
+
+  /**
+   * Checks the filter and sorting inputs, and fills the price inputs, the way they are in a URL,
+   * so they match the results before the section is rendered for it.
+   * @param {URLSearchParams} parameters - The URL parameters
+   */
+  syncWithURLParameters(parameters) {
+    for (const element of this.refs.facetsForm.elements) {
+      if (element instanceof HTMLInputElement && (element.type === 'checkbox' || element.type === 'radio')) {
+        if (element.name.startsWith('filter.') || parameters.has(element.name)) {
+          element.checked = parameters.getAll(element.name).includes(element.value);
+        }
+      } else if (element instanceof HTMLInputElement && element.name.startsWith('filter.')) {
+        element.value = parameters.get(element.name) ?? '';
+      } else if (element instanceof HTMLSelectElement && parameters.has(element.name)) {
+        element.value = parameters.get(element.name) ?? '';
+      }
+    }
+  }
 }
 
+/**
+ * Restores the results of the history entry navigated to with the back and forward buttons.
+ * The filtered sections are rendered again when the entry has other filters or sorting, or a page that isn't
+ * rendered anymore, then the scroll position the entry was left at is restored.
+ * @param {PopStateEvent} event
+ */
+async function restoreHistoryEntry(event) {
+  const url = new URL(window.location.href);
+  if (url.pathname !== renderedURL.pathname) return;
+
+  const hasOtherResults = getResultsQuery(url) !== getResultsQuery(renderedURL);
+  const page = Number(url.searchParams.get(PAGE) || 1);
+
+  /** @type {Map<string, FacetsFormComponent[]>} */
+  const formsBySection = new Map();
+
+  for (const form of document.querySelectorAll('facets-form-component')) {
+    if (!(form instanceof FacetsFormComponent)) continue;
+
+    formsBySection.set(form.sectionId, [...(formsBySection.get(form.sectionId) ?? []), form]);
+  }
+
+  /** @type {Promise<string>[]} */
+  const renders = [];
+
+  for (const [sectionId, forms] of formsBySection) {
+    const paginatedList = forms[0]?.closest('.shopify-section')?.querySelector('results-list');
+    const hasPage = paginatedList instanceof PaginatedList && paginatedList.hasPage(page);
+
+    if (!hasOtherResults && hasPage) continue;
+
+    const parameters = new URLSearchParams(url.search);
+    parameters.delete(PAGE);
+
+    for (const form of forms) form.syncWithURLParameters(parameters);
+    forms[0]?.dispatchEvent(new FilterUpdateEvent(parameters));
+
+    renders.push(sectionRenderer.renderSection(sectionId));
+  }
+
+  if (!renders.length) return;
+
+  renderedURL = url;
+
+  try {
+    await Promise.all(renders);
+  } catch (error) {
+    console.error('Error restoring the filtered results:', error);
+    return;
+  }
+
+  const { scrollY } = event.state && typeof event.state === 'object' ? event.state : {};
+  if (typeof scrollY === 'number') window.scrollTo({ top: scrollY, behavior: 'instant' });
+}
+
+window.addEventListener('popstate', restoreHistoryEntry);
+
 if (!customElements.get('facets-form-component')) {
   customElements.define('facets-form-component', FacetsFormComponent);
 }
@@ -209,8 +316,15 @@ if (!customElements.get('facet-inputs-component')) {
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement | undefined} slider - The slider, holding the selected range as CSS variables
+ * @property {HTMLInputElement | undefined} minRange - The slider thumb of the minimum price
+ * @property {HTMLInputElement | undefined} maxRange - The slider thumb of the maximum price
+ * @property {HTMLElement[] | undefined} bars - The bars of the price histogram
  */
 
+/** How long the slider waits for the thumbs to settle before updating the results */
+const PRICE_SLIDER_DELAY = 300;
+
 /**
  * Handles price facet functionality
  * @extends {Component<PriceFacetRefs>}
@@ -224,6 +338,7 @@ class PriceFacetComponent extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.#updateResultsFromSlider.cancel();
   }
 
   /**
@@ -232,6 +347,8 @@ class PriceFacetComponent extends Component {
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
+    // Leave Home, End, Page Up and Page Down to the slider thumbs
+    if (event.target instanceof HTMLInputElement && event.target.type === 'range') return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
@@ -243,6 +360,7 @@ class PriceFacetComponent extends Component {
   updatePriceFilterAndResults() {
     const { minInput, maxInput } = this.refs;
 
+    this.#updateResultsFromSlider.cancel();
     this.#adjustToValidValues(minInput);
     this.#adjustToValidValues(maxInput);
 
@@ -252,6 +370,73 @@ class PriceFacetComponent extends Component {
     facetsForm.updateFilters();
     this.#setMinAndMaxValues();
     this.#updateSummary();
+    this.updateSlider();
+  }
+
+  /**
+   * Updates the inputs and the summary as a slider thumb moves, and the results once the thumbs settle
+   * @param {Event} event - The input or change event of a thumb
+   */
+  updateFromSlider(event) {
+    const { minInput, maxInput, minRange, maxRange } = this.refs;
+    if (!minRange || !maxRange) return;
+
+    let minValue = Number(minRange.value);
+    let maxValue = Number(maxRange.value);
+
+    // Keep the thumbs from crossing, holding the one being moved back at the other
+    if (minValue > maxValue) {
+      if (event.target === minRange) {
+        minValue = maxValue;
+      } else {
+        maxValue = minValue;
+      }
+    }
+
+    // A thumb at the end of the track doesn't filter on that side
+    minInput.value = minValue > Number(minRange.min) ? minValue.toString() : '';
+    maxInput.value = maxValue < Number(maxRange.max) ? maxValue.toString() : '';
+
+    this.#setMinAndMaxValues();
+    this.#updateSummary();
+    this.updateSlider();
+    this.#updateResultsFromSlider();
+  }
+
+  /** Updates the results once the slider thumbs stop moving */
+  #updateResultsFromSlider = debounce(() => this.updatePriceFilterAndResults(), PRICE_SLIDER_DELAY);
+
+  /**
+   * Moves the slider thumbs to the input values, and highlights the selected range on the track and histogram
+   */
+  updateSlider() {
+    const { minInput, maxInput, slider, minRange, maxRange, bars = [] } = this.refs;
+    if (!slider || !minRange || !maxRange) return;
+
+    const rangeMax = Number(maxRange.max);
+    if (!rangeMax) return;
+
+    minRange.value = minInput.value ? formatMoney(minInput.value) : minRange.min;
+    maxRange.value = maxInput.value ? formatMoney(maxInput.value) : maxRange.max;
+
+    const start = Number(minRange.value) / rangeMax;
+    const end = Number(maxRange.value) / rangeMax;
+
+    slider.style.setProperty('--range-start', `${start * 100}%`);
+    slider.style.setProperty('--range-end', `${end * 100}%`);
+
+    bars.forEach((bar, index) => {
+      const barStart = index / bars.length;
+      const barEnd = (index + 1) / bars.length;
+
+      bar.toggleAttribute('data-in-range', barEnd > start && barStart < end);
+    });
+
+    const statusComponent = this.#getStatusComponent();
+    if (!statusComponent) return;
+
+    minRange.setAttribute('aria-valuetext', statusComponent.formatMoney(Number(minRange.value) * 100));
+    maxRange.setAttribute('aria-valuetext', statusComponent.formatMoney(Number(maxRange.value) * 100));
   }
 
   /**
@@ -286,12 +471,18 @@ class PriceFacetComponent extends Component {
    */
   #updateSummary() {
     const { minInput, maxInput } = this.refs;
-    const details = this.closest('details');
-    const statusComponent = details?.querySelector('facet-status-component');
 
-    if (!(statusComponent instanceof FacetStatusComponent)) return;
+    this.#getStatusComponent()?.updatePriceSummary(minInput, maxInput);
+  }
+
+  /**
+   * Gets the status component in the summary of the price filter, which formats its prices
+   * @returns {FacetStatusComponent | undefined}
+   */
+  #getStatusComponent() {
+    const statusComponent = this.closest('details')?.querySelector('facet-status-component');
 
-    statusComponent?.updatePriceSummary(minInput, maxInput);
+    return statusComponent instanceof FacetStatusComponent ? statusComponent : undefined;
   }
 }
 
@@ -332,13 +523,15 @@ class FacetClearComponent extends Component {
     }
 
     const container = event.target.closest('facet-inputs-component, price-facet-component');
-    container?.querySelectorAll('[type="checkbox"]:checked, input').forEach((input) => {
+    container?.querySelectorAll('[type="checkbox"]:checked, input:not([type="range"])').forEach((input) => {
       if (input instanceof HTMLInputElement) {
         input.checked = false;
         input.value = '';
       }
     });
 
+    if (container instanceof PriceFacetComponent) container.updateSlider();
+
     const details = event.target.closest('details');
     const statusComponent = details?.querySelector('facet-status-component');
 
@@ -752,7 +945,7 @@ class FacetStatusComponent extends Component {
 
     const minInputNum = this.#parseCents(minInputValue, '0');
     const maxInputNum = this.#parseCents(maxInputValue, facetStatus.dataset.rangeMax);
-    facetStatus.innerHTML = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
+    facetStatus.innerHTML = `${this.formatMoney(minInputNum)}–${this.formatMoney(maxInputNum)}`;
   }
 
   /**
@@ -780,70 +973,13 @@ class FacetStatusComponent extends Component {
    * @param {number} moneyValue - The money value
    * @returns {string} The formatted money value
    */
-  #formatMoney(moneyValue) {
+  formatMoney(moneyValue) {
     if (!(this.refs.moneyFormat instanceof HTMLTemplateElement)) return '';
 
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCents(moneyValue, template, currency);
   }
 
   /**
@@ -859,54 +995,331 @@ if (!customElements.get('facet-status-component')) {
 }
 
 /**
- * Default currency decimals used in most currenies
- * @constant {number}
+ * @typedef {Object} FilterPreset
+ * @property {string} scope - What the preset filters, `collection:<handle>` or `search:<terms>`
+ * @property {string} name - The name given by the shopper
+ * @property {string} query - The URL parameters of the filters and sorting
  */
-const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/** The key the presets are stored under in local storage */
+const PRESETS_STORAGE_KEY = 'filter-presets';
+
+/** The version of the export format, bumped when it changes in a way older themes can't import */
+const PRESETS_EXPORT_VERSION = 1;
+
+/** The maximum number of presets, across all collections and searches */
+const MAX_PRESETS = 200;
 
 /**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
+ * Checks that a value is a preset, e.g. one read from an imported file.
+ * @param {unknown} value
+ * @returns {value is FilterPreset}
  */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
+function isPreset(value) {
+  if (!value || typeof value !== 'object') return false;
+
+  const { scope, name, query } = /** @type {Record<string, unknown>} */ (value);
+
+  return typeof scope === 'string' && typeof name === 'string' && name.trim() !== '' && typeof query === 'string';
+}
+
+/**
+ * Reads the saved presets.
+ * @returns {FilterPreset[]}
+ */
+function readPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+
+    return Array.isArray(presets) ? presets.filter(isPreset) : [];
+  } catch (error) {
+    console.error('Invalid filter presets:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves presets, replacing the saved ones with the same scope and name. Most recently saved presets come first.
+ * @param {FilterPreset[]} presets
+ */
+function savePresets(presets) {
+  const isReplaced = (/** @type {FilterPreset} */ preset) =>
+    presets.some(({ scope, name }) => scope === preset.scope && name === preset.name);
+
+  writePresets([...presets, ...readPresets().filter((preset) => !isReplaced(preset))]);
+}
+
+/**
+ * @param {FilterPreset[]} presets
+ */
+function writePresets(presets) {
+  try {
+    if (presets.length) {
+      localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets.slice(0, MAX_PRESETS)));
+    } else {
+      localStorage.removeItem(PRESETS_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage may be full or disabled
+    console.error('Error saving filter presets:', error);
+  }
+}
+
+/**
+ * Sorts URL parameters, so parameters selecting the same results compare equal.
+ * @param {URLSearchParams | string} parameters
+ * @returns {string}
+ */
+function normalizeQuery(parameters) {
+  const sortedParameters = new URLSearchParams(parameters);
+
+  sortedParameters.sort();
+
+  return sortedParameters.toString();
+}
+
+/**
+ * @typedef {Object} FilterPresetsRefs
+ * @property {HTMLInputElement} nameInput - The name of the preset to save.
+ * @property {HTMLElement} presets - The heading and list, hidden while there are no presets.
+ * @property {HTMLUListElement} list - The presets of the collection or search terms.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a preset in the list.
+ * @property {HTMLInputElement} importInput - The file input to import presets.
+ * @property {HTMLElement} status - The live region announcing changes.
+ */
+
+/**
+ * Saves the filters and sorting of the closest facets form as named presets, and lists the presets saved for
+ * the current collection or search terms to apply them in one click.
+ * Presets are kept in local storage, and can be exported to a JSON file to import them on another device, e.g.
+ * `{ "version": 1, "presets": [{ "scope": "collection:shirts", "name": "Blue", "query": "sort_by=price-ascending" }] }`
+ *
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['nameInput', 'presets', 'list', 'itemTemplate', 'importInput', 'status'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+  }
+
+  /**
+   * Saves the current filters and sorting under the name typed by the shopper.
+   */
+  save() {
+    const { nameInput } = this.refs;
+    const name = nameInput.value.trim();
+    const facetsForm = this.#facetsForm;
+
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    if (!facetsForm) return;
+
+    savePresets([{ scope: this.#scope, name, query: facetsForm.createURLParameters().toString() }]);
+
+    nameInput.value = '';
+    this.#render();
+    this.#announce(this.dataset.savedMessage);
+  }
+
+  /**
+   * Saves the preset when pressing Enter in the name input, instead of submitting the facets form.
+   * @param {KeyboardEvent} event
+   */
+  handleNameKeydown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.save();
+  }
+
+  /**
+   * Applies a preset, then closes the filter drawer to show the results.
+   * @param {Event} event
+   */
+  applyPreset(event) {
+    const preset = this.#getPreset(event);
+    const facetsForm = this.#facetsForm;
+
+    if (!preset || !facetsForm) return;
+
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.search = preset.query;
+
+    facetsForm.syncWithURLParameters(url.searchParams);
+    facetsForm.updateFiltersByURL(url.toString());
+
+    const drawer = this.closest('dialog-component');
+    if (drawer instanceof DialogComponent) drawer.closeDialog();
+  }
+
+  /**
+   * Removes a preset.
+   * @param {Event} event
+   */
+  removePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    writePresets(readPresets().filter(({ scope, name }) => scope !== preset.scope || name !== preset.name));
+    this.#render();
+    this.refs.nameInput.focus();
+  }
+
+  /**
+   * Downloads all the presets, of every collection and search, as a JSON file.
+   */
+  exportPresets() {
+    const json = JSON.stringify({ version: PRESETS_EXPORT_VERSION, presets: readPresets() }, null, 2);
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'filter-presets.json';
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  }
+
+  /**
+   * Opens the file picker to import presets.
+   */
+  openImport() {
+    this.refs.importInput.click();
+  }
+
+  /**
+   * Imports the presets of an exported JSON file, replacing the saved presets with the same name.
+   */
+  async importPresets() {
+    const { importInput } = this.refs;
+    const [file] = importInput.files ?? [];
+
+    if (!file) return;
+
+    try {
+      const { version, presets } = JSON.parse(await file.text());
+
+      if (version !== PRESETS_EXPORT_VERSION || !Array.isArray(presets)) {
+        throw new Error('Unsupported filter presets file');
+      }
+
+      savePresets(presets.filter(isPreset));
+      this.#render();
+      this.#announce(this.dataset.importedMessage);
+    } catch (error) {
+      console.error(error);
+      this.#announce(this.dataset.importErrorMessage);
+    } finally {
+      importInput.value = '';
+    }
+  }
+
+  /**
+   * @param {FilterUpdateEvent} event
+   */
+  #handleFilterUpdate = (event) => {
+    const { queryParams } = event.detail;
+    const terms = queryParams.get('q');
+
+    // The search page updates its results as the shopper types, without rendering the presets again
+    if (terms !== null && this.#scope.startsWith('search:') && this.#scope !== `search:${terms}`) {
+      this.dataset.scope = `search:${terms}`;
+      this.#render();
+      return;
+    }
+
+    this.#updateCurrentPreset(normalizeQuery(queryParams));
+  };
+
+  /**
+   * Lists the presets of the collection or search terms.
+   */
+  #render() {
+    const { presets, list, itemTemplate } = this.refs;
+    const scopedPresets = readPresets().filter(({ scope }) => scope === this.#scope);
+
+    const items = scopedPresets.map((preset) => {
+      const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+      const item = fragment.querySelector('li');
+      const applyButton = fragment.querySelector('[data-preset-apply]');
+      const removeButton = fragment.querySelector('[data-preset-remove]');
+
+      if (item) {
+        item.dataset.name = preset.name;
+        item.dataset.query = normalizeQuery(preset.query);
+      }
+
+      if (applyButton) applyButton.textContent = preset.name;
+      removeButton?.setAttribute('aria-label', (this.dataset.removeLabel ?? '').replace('{{ name }}', preset.name));
+
+      return fragment;
+    });
+
+    list.replaceChildren(...items);
+    presets.hidden = scopedPresets.length === 0;
+
+    const facetsForm = this.#facetsForm;
+    if (facetsForm) this.#updateCurrentPreset(normalizeQuery(facetsForm.createURLParameters()));
+  }
+
+  /**
+   * Marks the preset matching the applied filters and sorting.
+   * @param {string} query - The normalized URL parameters of the applied filters and sorting
+   */
+  #updateCurrentPreset(query) {
+    for (const item of this.refs.list.querySelectorAll('li')) {
+      const applyButton = item.querySelector('[data-preset-apply]');
+
+      if (item.dataset.query === query) {
+        applyButton?.setAttribute('aria-current', 'true');
+      } else {
+        applyButton?.removeAttribute('aria-current');
+      }
+    }
+  }
+
+  /**
+   * Gets the preset of the list item an event comes from.
+   * @param {Event} event
+   * @returns {FilterPreset | undefined}
+   */
+  #getPreset(event) {
+    const item = event.target instanceof Element ? event.target.closest('li') : null;
+    const name = item?.dataset.name;
+
+    return readPresets().find((preset) => preset.scope === this.#scope && preset.name === name);
+  }
+
+  /**
+   * @param {string} [message]
+   */
+  #announce(message = '') {
+    this.refs.status.textContent = message;
+  }
+
+  get #scope() {
+    return this.dataset.scope ?? '';
+  }
+
+  get #facetsForm() {
+    const facetsForm = this.closest('facets-form-component');
+
+    return facetsForm instanceof FacetsFormComponent ? facetsForm : null;
+  }
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
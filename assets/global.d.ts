@@ -24,6 +24,13 @@ declare global {
       cart_url: string;
       predictive_search_url: string;
       search_url: string;
+      saved_for_later_url: string;
+    };
+    settings: {
+      allow_mixed_preorder_cart: boolean;
+    };
+    customer: {
+      id: number | null;
     };
     utilities: {
       scheduler: {
@@ -0,0 +1,136 @@
+/**
+ * Formats an amount in cents with a Shopify money format, replicating the implementation of the `money` liquid filters.
+ * @param {number} cents - The amount in cents (hundredths of one major currency unit)
+ * @param {string} moneyFormat - The money format, e.g. `shop.money_format`
+ * @param {string} currency - The ISO code of the currency
+ * @param {{ stripTrailingZeros?: boolean }} [options] - Whether to drop the decimals of whole amounts,
+ * like the `money_without_trailing_zeros` filter
+ * @returns {string} The formatted money value
+ */
+export function formatCents(cents, moneyFormat, currency, { stripTrailingZeros = false } = {}) {
+  return moneyFormat.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    if (stripTrailingZeros && Number.isInteger(cents / 100)) precision = 0;
+
+    return formatAmount(cents, thousandsSeparator, decimalSeparator, precision);
+  });
+}
+
+/**
+ * Converts an amount in shop currency to the currency the shopper is browsing in, with the rate
+ * Shopify converts prices with. Liquid can't read this rate, see the `cart-promotion-threshold` snippet.
+ * @param {number} cents - The amount in cents of the shop currency
+ * @returns {number} The amount in cents of the presentment currency
+ */
+export function convertToPresentmentCents(cents) {
+  const rate = Number(window.Shopify?.currency?.rate);
+
+  return Number.isFinite(rate) && rate > 0 ? Math.round(cents * rate) : cents;
+}
+
+/**
+ * Formats money in cents
+ * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator - The thousands separator
+ * @param {string} decimalSeparator - The decimal separator
+ * @param {number} precision - The precision
+ * @returns {string} The formatted money value
+ */
+function formatAmount(moneyValue, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (moneyValue / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
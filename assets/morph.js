@@ -7,6 +7,9 @@ import { Component } from '@theme/component';
  * @property {(oldNode: Node, newNode: Node) => void} [onBeforeUpdate] - Pre-update hook
  * @property {(node: Node) => void} [onAfterUpdate] - Post-update hook
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
+ * @property {(element: Element) => void} [onEnter] - Called when an element with a `data-morph-key` is added
+ * @property {(element: Element) => Promise<void> | void} [onLeave] - Called when an element with a `data-morph-key`
+ * is removed, which stays in the document until the returned promise settles
  */
 
 /**
@@ -80,8 +83,26 @@ export const MORPH_OPTIONS = {
       queueMicrotask(() => node.updatedCallback());
     }
   },
+  onEnter(element) {
+    for (const component of getComponents(element)) component.morphEnterCallback();
+  },
+  onLeave(element) {
+    const leaving = getComponents(element).map((component) => component.morphLeaveCallback());
+    if (!leaving.some(Boolean)) return;
+
+    return Promise.allSettled(leaving).then(() => {});
+  },
 };
 
+/**
+ * Gets the components of an element, including the element itself
+ * @param {Element} element - The element
+ * @returns {Component[]}
+ */
+function getComponents(element) {
+  return [element, ...element.querySelectorAll('*')].filter((node) => node instanceof Component);
+}
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
@@ -102,16 +123,168 @@ export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
     newTree = parsedNewTree;
   }
 
+  if (!options.childrenOnly && newTree.nodeType === 11) {
+    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  }
+
+  const restorePreservedState = capturePreservedState(oldTree);
+
+  let morphedTree = oldTree;
   if (options.childrenOnly) {
     updateChildren(newTree, oldTree, options);
-    return oldTree;
+  } else {
+    morphedTree = walk(newTree, oldTree, options);
   }
 
-  if (newTree.nodeType === 11) {
-    throw new Error('newTree should have one root node (not a DocumentFragment)');
+  restorePreservedState(morphedTree);
+
+  return morphedTree;
+}
+
+/**
+ * Captures the state that elements with a `data-morph-preserve` attribute keep through a morph, as a list of
+ * space-separated states, e.g. `data-morph-preserve="focus scroll open value"`:
+ * - `focus`: the focused element inside, with the caret or selection of text fields
+ * - `scroll`: the scroll offsets of the element and of the scroll containers inside
+ * - `open`: whether the `<details>` elements inside are open
+ * - `value`: what was typed into the fields inside, unless the new markup changes their value
+ *
+ * Elements replaced rather than morphed are found again by ID.
+ * @param {Node} root - The tree about to be morphed
+ * @returns {(morphedRoot: Node) => void} A function restoring the state into the morphed tree
+ */
+function capturePreservedState(root) {
+  if (!(root instanceof Element || root instanceof Document)) return () => {};
+
+  /** @type {((morphedRoot: Element | Document) => void)[]} */
+  const restorers = [];
+
+  /**
+   * @param {string} state
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  const queryPreserved = (state, selector) => {
+    const preserveSelector = `[data-morph-preserve~="${state}"]`;
+    const elements = Array.from(root.querySelectorAll(`${preserveSelector} :is(${selector})`));
+
+    return root instanceof Element && root.matches(`${preserveSelector}:is(${selector})`)
+      ? [root, ...elements]
+      : elements;
+  };
+
+  for (const field of queryPreserved('value', 'input, textarea')) {
+    if (!isTextField(field) || field.value === field.defaultValue) continue;
+
+    const { value, defaultValue } = field;
+
+    restorers.push((morphedRoot) => {
+      const morphedField = findMorphedElement(morphedRoot, field);
+
+      // Keep the edit only when the new markup has the same value as the one it was made on
+      if (isTextField(morphedField) && morphedField.defaultValue === defaultValue) morphedField.value = value;
+    });
   }
 
-  return walk(newTree, oldTree, options);
+  for (const details of queryPreserved('open', 'details')) {
+    if (!(details instanceof HTMLDetailsElement)) continue;
+
+    const { open } = details;
+
+    restorers.push((morphedRoot) => {
+      const morphedDetails = findMorphedElement(morphedRoot, details);
+
+      if (morphedDetails instanceof HTMLDetailsElement) morphedDetails.open = open;
+    });
+  }
+
+  for (const container of queryPreserved('scroll', '*')) {
+    if (!container.scrollTop && !container.scrollLeft) continue;
+
+    const { scrollTop, scrollLeft } = container;
+
+    restorers.push((morphedRoot) => {
+      const morphedContainer = findMorphedElement(morphedRoot, container);
+
+      if (morphedContainer) morphedContainer.scroll({ top: scrollTop, left: scrollLeft, behavior: 'instant' });
+    });
+  }
+
+  // Focus last, as restoring a value moves the caret
+  const focused = document.activeElement;
+
+  if (focused instanceof HTMLElement && root.contains(focused) && focused.closest('[data-morph-preserve~="focus"]')) {
+    const selection = isTextField(focused) ? getTextSelection(focused) : null;
+
+    restorers.push((morphedRoot) => {
+      const morphedElement = findMorphedElement(morphedRoot, focused);
+      if (!(morphedElement instanceof HTMLElement)) return;
+
+      if (document.activeElement !== morphedElement) morphedElement.focus({ preventScroll: true });
+      if (selection && isTextField(morphedElement) && morphedElement.value === selection.value) {
+        morphedElement.setSelectionRange(selection.start, selection.end, selection.direction);
+      }
+    });
+  }
+
+  return (morphedRoot) => {
+    if (!(morphedRoot instanceof Element || morphedRoot instanceof Document)) return;
+
+    for (const restore of restorers) restore(morphedRoot);
+  };
+}
+
+/**
+ * Finds an element after a morph: the element itself when it was morphed, or the element with its ID when it was
+ * replaced
+ * @param {Element | Document} root - The morphed tree
+ * @param {Element} element - The element before the morph
+ * @returns {Element | null}
+ */
+function findMorphedElement(root, element) {
+  if (root.contains(element)) return element;
+  if (!element.id) return null;
+
+  return root instanceof Element && root.id === element.id ? root : root.querySelector(`#${CSS.escape(element.id)}`);
+}
+
+/**
+ * The input types that aren't typed into
+ */
+const NON_TEXT_INPUT_TYPES = [
+  'button',
+  'checkbox',
+  'color',
+  'file',
+  'hidden',
+  'image',
+  'radio',
+  'range',
+  'reset',
+  'submit',
+];
+
+/**
+ * Checks whether an element is a field that is typed into
+ * @param {Element | null} element - The element
+ * @returns {element is HTMLInputElement | HTMLTextAreaElement}
+ */
+function isTextField(element) {
+  if (element instanceof HTMLTextAreaElement) return true;
+
+  return element instanceof HTMLInputElement && !NON_TEXT_INPUT_TYPES.includes(element.type);
+}
+
+/**
+ * Gets the caret or selection of a text field, for the input types that have one
+ * @param {HTMLInputElement | HTMLTextAreaElement} field - The field
+ * @returns {{ value: string, start: number, end: number, direction: 'forward' | 'backward' | 'none' } | null}
+ */
+function getTextSelection(field) {
+  const { value, selectionStart: start, selectionEnd: end, selectionDirection } = field;
+  if (start === null || end === null) return null;
+
+  return { value, start, end, direction: selectionDirection ?? 'none' };
 }
 
 /**
@@ -218,7 +391,72 @@ function updateNode(newNode, oldNode, options) {
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return options?.getNodeKey?.(node) ?? (node instanceof Element ? getMorphKey(node) || node.id : undefined);
+}
+
+/**
+ * Gets the key of a node in a keyed list, from its `data-morph-key` attribute
+ * @param {Node | undefined} node - The node
+ * @returns {string | undefined} The key, if the node has one
+ */
+function getMorphKey(node) {
+  return (node instanceof Element && node.getAttribute('data-morph-key')) || undefined;
+}
+
+/**
+ * Checks whether a node is being removed, waiting for the `onLeave` hook
+ * @param {Node | undefined} node - The node
+ * @returns {boolean}
+ */
+function isLeaving(node) {
+  return node instanceof Element && node.hasAttribute('data-morph-leaving');
+}
+
+/**
+ * Moves a node, keeping its state (iframes, animations, focus, etc.) where the browser supports `moveBefore`
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to move
+ * @param {Node | null} referenceNode - The node to move it before
+ */
+function moveNode(parent, node, referenceNode) {
+  const { moveBefore } = /** @type {{ moveBefore?: (node: Node, child: Node | null) => void }} */ (parent);
+
+  if (moveBefore && node.isConnected) {
+    try {
+      moveBefore.call(parent, node, referenceNode);
+      return;
+    } catch (error) {
+      // Fall back to `insertBefore`, e.g. when moving between documents
+    }
+  }
+
+  parent.insertBefore(node, referenceNode);
+}
+
+/**
+ * Removes the old keyed children that aren't in the new children, through the `onLeave` hook
+ * @param {Node} newNode - The new node
+ * @param {Map<string, Node>} oldNodesByKey - The old keyed children by key, which the removed ones are deleted from
+ * @param {Options} options - The options object
+ */
+function removeLeavingNodes(newNode, oldNodesByKey, options) {
+  const newKeys = new Set(Array.from(newNode.childNodes, getMorphKey));
+
+  for (const [key, oldChild] of oldNodesByKey) {
+    if (newKeys.has(key)) continue;
+
+    oldNodesByKey.delete(key);
+
+    const leaving = oldChild instanceof Element ? options.onLeave?.(oldChild) : undefined;
+
+    if (!leaving || !(oldChild instanceof Element)) {
+      oldChild.parentNode?.removeChild(oldChild);
+      continue;
+    }
+
+    oldChild.setAttribute('data-morph-leaving', '');
+    leaving.finally(() => oldChild.remove());
+  }
 }
 
 /**
@@ -370,9 +608,19 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
-  let oldChild, newChild, morphed, oldMatch;
+  let oldChild, newChild, morphed, oldMatch, key;
   let offset = 0;
 
+  /** @type {Map<string, Node>} */
+  const oldNodesByKey = new Map();
+
+  for (const child of oldNode.childNodes) {
+    key = getMorphKey(child);
+    if (key && !isLeaving(child)) oldNodesByKey.set(key, child);
+  }
+
+  if (oldNodesByKey.size) removeLeavingNodes(newNode, oldNodesByKey, options);
+
   for (let i = 0; ; i++) {
     oldChild = oldNode.childNodes[i];
     newChild = newNode.childNodes[i - offset];
@@ -382,6 +630,12 @@ function updateChildren(newNode, oldNode, options) {
       break;
     }
 
+    // The old child is on its way out, leave it in place
+    if (isLeaving(oldChild)) {
+      offset++;
+      continue;
+    }
+
     // There is no new child, remove old
     if (!newChild) {
       oldChild && oldNode.removeChild(oldChild);
@@ -389,6 +643,29 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // Keyed children are matched by key wherever they are, and moved into place
+    key = getMorphKey(newChild);
+    if (key) {
+      const keyedMatch = oldNodesByKey.get(key);
+      oldNodesByKey.delete(key);
+
+      if (!keyedMatch) {
+        oldNode.insertBefore(newChild, oldChild ?? null);
+        offset++;
+        if (newChild instanceof Element) options.onEnter?.(newChild);
+        continue;
+      }
+
+      if (keyedMatch !== oldChild) moveNode(oldNode, keyedMatch, oldChild ?? null);
+
+      morphed = walk(newChild, keyedMatch, options);
+      if (morphed !== keyedMatch) {
+        oldNode.replaceChild(morphed, keyedMatch);
+        offset++;
+      }
+      continue;
+    }
+
     // There is no old child, add new
     if (!oldChild) {
       oldNode.appendChild(newChild);
@@ -396,6 +673,13 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // Keep keyed old children for the new children with their key
+    if (getMorphKey(oldChild) && newChild instanceof Element) {
+      oldNode.insertBefore(newChild, oldChild);
+      offset++;
+      continue;
+    }
+
     // Both nodes are the same, morph
     if (same(newChild, oldChild, options)) {
       morphed = walk(newChild, oldChild, options);
@@ -417,7 +701,7 @@ function updateChildren(newNode, oldNode, options) {
     for (let j = i; j < oldNode.childNodes.length; j++) {
       const potentialOldNode = oldNode.childNodes[j];
 
-      if (potentialOldNode && same(potentialOldNode, newChild, options)) {
+      if (potentialOldNode && !isLeaving(potentialOldNode) && same(potentialOldNode, newChild, options)) {
         oldMatch = potentialOldNode;
         break;
       }
@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
-import { requestIdleCallback, viewTransition } from '@theme/utilities';
+import { pushHistoryState, requestIdleCallback, viewTransition } from '@theme/utilities';
 import { ThemeEvents } from '@theme/events';
 import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-ratio';
 
@@ -191,7 +191,7 @@ export default class PaginatedList extends Component {
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', nextPage.url.toString());
+    pushHistoryState({}, nextPage.url);
 
     requestIdleCallback(() => {
       this.#fetchPage('next');
@@ -230,7 +230,7 @@ export default class PaginatedList extends Component {
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', previousPage.url.toString());
+    pushHistoryState({}, previousPage.url);
 
     // Calculate and adjust scroll position to maintain the same view
     if (firstElement) {
@@ -289,6 +289,17 @@ export default class PaginatedList extends Component {
     return gridElement.querySelectorAll(':scope > [ref="cards[]"]');
   }
 
+  /**
+   * Whether the cards of a page are rendered, e.g. when navigating back to the page in the history.
+   * @param {number} page - The page number
+   * @returns {boolean}
+   */
+  hasPage(page) {
+    const { cards } = this.refs;
+
+    return Array.isArray(cards) && cards.some((card) => Number(card.dataset.page) === page);
+  }
+
   get sectionId() {
     const id = this.getAttribute('section-id');
 
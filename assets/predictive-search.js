@@ -1,10 +1,35 @@
 import { Component } from '@theme/component';
-import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
+import { clamp, debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
 import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { RecentSearches } from '@theme/recent-searches';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
 
+/** How long the results of a search are reused, in milliseconds */
+const RESULTS_CACHE_TTL = 60 * 1000;
+
+/** The number of searches whose results are kept */
+const RESULTS_CACHE_SIZE = 30;
+
+/** The delay before searching while the shopper types, in milliseconds, until the results' latency is measured */
+const SEARCH_DELAY = 200;
+const MIN_SEARCH_DELAY = 120;
+const MAX_SEARCH_DELAY = 400;
+
+/**
+ * @typedef {object} CachedResults
+ * @property {string} html - The markup of the results section
+ * @property {number} count - The number of results
+ * @property {number} createdAt - When the results were fetched, from `performance.now()`
+ */
+
+/**
+ * The results of the searches made on this page, by normalized query, least recently used first
+ * @type {Map<string, CachedResults>}
+ */
+const resultsCache = new Map();
+
 /**
  * A custom element that allows the user to search for resources available on the store.
  *
@@ -16,6 +41,9 @@ import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialo
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLElement} [recentSearches] - The recent searches wrapper, in the empty state.
+ * @property {HTMLElement} [recentSearchesList] - The list of recent searches.
+ * @property {HTMLTemplateElement} [recentSearchTemplate] - The template of a recent search.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -30,6 +58,15 @@ class PredictiveSearchComponent extends Component {
 
   #emptyStateLoaded = false;
 
+  /** @type {number | undefined} */
+  #searchTimeout;
+
+  /** The moving average of the time the results take to load, in milliseconds */
+  #averageLatency = 0;
+
+  /** Whether the results shown are those of a shorter search, while the current one loads */
+  #showingPrefixResults = false;
+
   /**
    * Get the dialog component.
    * @returns {DialogComponent | null} The dialog component.
@@ -56,6 +93,10 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
+    this.addEventListener('click', this.#handleResultClick, { signal });
+    this.addEventListener('submit', this.#handleSubmit, { signal });
+    this.#renderRecentSearches();
+
     if (RecentlyViewed.getProducts().length > 0) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
@@ -85,16 +126,42 @@ class PredictiveSearchComponent extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#controller.abort();
+    clearTimeout(this.#searchTimeout);
   }
 
   /**
-   * Handles the CMD+K key combination.
+   * Toggles the search modal with CMD+K or CTRL+K, and opens it with `/` when the shopper isn't typing elsewhere.
    * @param {KeyboardEvent} event - The keyboard event.
    */
   #handleKeyboardShortcut = (event) => {
-    if (event.metaKey && event.key === 'k') {
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+      event.preventDefault();
       this.dialog?.toggleDialog();
+      return;
     }
+
+    if (event.key !== '/' || event.metaKey || event.ctrlKey || event.altKey || isEditable(event.target)) return;
+
+    event.preventDefault();
+    this.dialog?.showDialog();
+  };
+
+  /**
+   * Remembers the search that led to a result, or the popular or recent search that was picked.
+   * @param {MouseEvent} event - The mouse event
+   */
+  #handleResultClick = (event) => {
+    const link = event.target instanceof Element ? event.target.closest('a') : null;
+    if (!link || !this.refs.predictiveSearchResults.contains(link)) return;
+
+    RecentSearches.addQuery(link.dataset.query ?? this.refs.searchInput.value);
+  };
+
+  /**
+   * Remembers the search when the form is submitted to the search page.
+   */
+  #handleSubmit = () => {
+    RecentSearches.addQuery(this.refs.searchInput.value);
   };
 
   /**
@@ -168,6 +235,12 @@ class PredictiveSearchComponent extends Component {
       }
     }
 
+    if (activeItem?.id) {
+      this.refs.searchInput.setAttribute('aria-activedescendant', activeItem.id);
+    } else {
+      this.refs.searchInput.removeAttribute('aria-activedescendant');
+    }
+
     activeItem?.scrollIntoView({ behavior: prefersReducedMotion() ? 'instant' : 'smooth', block: 'nearest' });
     this.refs.searchInput.focus();
   }
@@ -220,7 +293,11 @@ class PredictiveSearchComponent extends Component {
 
       case 'Enter': {
         const singleResultContainer = this.refs.predictiveSearchResults.querySelector('[data-single-result-url]');
-        if (singleResultContainer instanceof HTMLElement && singleResultContainer.dataset.singleResultUrl) {
+        if (
+          !this.#showingPrefixResults &&
+          singleResultContainer instanceof HTMLElement &&
+          singleResultContainer.dataset.singleResultUrl
+        ) {
           event.preventDefault();
           window.location.href = singleResultContainer.dataset.singleResultUrl;
           return;
@@ -230,15 +307,122 @@ class PredictiveSearchComponent extends Component {
           event.preventDefault();
           this.#currentItem?.querySelector('a')?.click();
         } else {
-          const searchUrl = new URL(Theme.routes.search_url, location.origin);
-          searchUrl.searchParams.set('q', this.refs.searchInput.value);
-          window.location.href = searchUrl.toString();
+          RecentSearches.addQuery(this.refs.searchInput.value);
+          window.location.href = getSearchUrl(this.refs.searchInput.value).toString();
         }
         break;
       }
+
+      case 'Delete': {
+        const query = this.#currentItem?.dataset.recentSearch;
+        if (!query || this.refs.searchInput.value) return;
+
+        event.preventDefault();
+        this.#removeRecentSearch(query);
+        break;
+      }
     }
   };
 
+  /**
+   * Removes a search from the recent searches.
+   * @param {Event} event - The click event of the remove button.
+   */
+  removeRecentSearch(event) {
+    event.stopPropagation();
+
+    const item = event.target instanceof Element ? event.target.closest('[data-recent-search]') : null;
+    if (!(item instanceof HTMLElement) || !item.dataset.recentSearch) return;
+
+    this.#removeRecentSearch(item.dataset.recentSearch);
+  }
+
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The click event.
+   */
+  clearRecentSearches(event) {
+    event.stopPropagation();
+
+    RecentSearches.clearQueries();
+    this.#renderRecentSearches();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * @param {string} query - The search to remove
+   */
+  #removeRecentSearch(query) {
+    RecentSearches.removeQuery(query);
+    this.#renderRecentSearches();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Renders the recent searches into the empty state, which is reset to its server markup on every morph.
+   */
+  #renderRecentSearches() {
+    const { recentSearches, recentSearchesList, recentSearchTemplate } = this.refs;
+
+    if (recentSearches && recentSearchesList && recentSearchTemplate) {
+      const queries = RecentSearches.getQueries();
+
+      recentSearchesList.replaceChildren(
+        ...queries.flatMap((query) => {
+          const item = recentSearchTemplate.content.firstElementChild?.cloneNode(true);
+          if (!(item instanceof HTMLElement)) return [];
+
+          const link = item.querySelector('a');
+          const removeButton = item.querySelector('button');
+
+          item.dataset.recentSearch = query;
+          if (link) {
+            link.href = getSearchUrl(query).toString();
+            link.dataset.query = query;
+            link.textContent = query;
+          }
+          removeButton?.setAttribute('aria-label', (removeButton.dataset.label ?? '').replace('{{ query }}', query));
+
+          return [item];
+        })
+      );
+
+      recentSearches.hidden = queries.length === 0;
+    }
+
+    this.#updateOptions();
+  }
+
+  /**
+   * Gives the results the roles and IDs of the combobox options, grouped by the list they're in.
+   */
+  #updateOptions() {
+    const items = this.#allResultsItems;
+
+    items.forEach((item, index) => {
+      item.setAttribute('role', 'option');
+      if (!item.id) item.id = `predictive-search-option-${index}`;
+
+      const group = item.closest('.predictive-search-results__list');
+      if (!group || group.hasAttribute('role')) return;
+
+      const title = group.querySelector('.predictive-search-results__title[id]');
+
+      group.setAttribute('role', 'group');
+      if (title) group.setAttribute('aria-labelledby', title.id);
+    });
+
+    const { searchInput } = this.refs;
+    const activeItem = items.find((item) => item.getAttribute('aria-selected') === 'true');
+
+    searchInput.setAttribute('aria-expanded', String(items.length > 0));
+    if (activeItem) {
+      searchInput.setAttribute('aria-activedescendant', activeItem.id);
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
   /**
    * Clears the recently viewed products.
    * @param {Event} event - The event.
@@ -277,14 +461,41 @@ class PredictiveSearchComponent extends Component {
   }, 100);
 
   /**
-   * Debounce the search handler to fetch and display search results based on the input value.
-   * Reset the current selection index and close results if the search term is empty.
+   * Search as the shopper types. Searches made before show their results right away, others wait for typing
+   * to pause, longer when the results are slow to load.
+   * @param {InputEvent} event - The input event.
    */
-  search = debounce((event) => {
+  search = (event) => {
+    clearTimeout(this.#searchTimeout);
+
     // If the input is not a text input (like using the Escape key), don't search
     if (!event.inputType) return;
 
     const searchTerm = this.refs.searchInput.value.trim();
+
+    if (searchTerm && getCachedResults(searchTerm)) {
+      this.#search(searchTerm);
+    } else {
+      this.#searchTimeout = setTimeout(() => this.#search(searchTerm), this.#searchDelay);
+    }
+  };
+
+  /**
+   * The delay before searching, about half the time the results take to load
+   * @returns {number}
+   */
+  get #searchDelay() {
+    if (!this.#averageLatency) return SEARCH_DELAY;
+
+    return clamp(Math.round(this.#averageLatency / 2), MIN_SEARCH_DELAY, MAX_SEARCH_DELAY);
+  }
+
+  /**
+   * Fetch and display search results for the term.
+   * Reset the current selection index and close results if the search term is empty.
+   * @param {string} searchTerm - The term to search for
+   */
+  #search(searchTerm) {
     this.#currentIndex = -1;
 
     if (!searchTerm.length) {
@@ -294,7 +505,7 @@ class PredictiveSearchComponent extends Component {
 
     this.#showResetButton();
     this.#getSearchResults(searchTerm);
-  }, 200);
+  }
 
   /**
    * Resets scroll positions for search results containers
@@ -308,29 +519,45 @@ class PredictiveSearchComponent extends Component {
 
   /**
    * Fetch search results using the section renderer and update the results container.
+   * While they load, the results of the longest shorter search the term extends are shown.
    * @param {string} searchTerm - The term to search for
    */
   async #getSearchResults(searchTerm) {
-    if (!this.dataset.sectionId) return;
+    const { sectionId } = this.dataset;
+    if (!sectionId) return;
+
+    const abortController = this.#createAbortController();
+    const cachedResults = getCachedResults(searchTerm);
+
+    if (cachedResults) {
+      this.#renderResults(cachedResults.html);
+      return;
+    }
+
+    const prefixResults = getPrefixResults(searchTerm);
+    if (prefixResults) this.#renderResults(prefixResults.html, true);
 
     const url = new URL(Theme.routes.predictive_search_url, location.origin);
     url.searchParams.set('q', searchTerm);
     url.searchParams.set('resources[limit_scope]', 'each');
 
-    const { predictiveSearchResults } = this.refs;
-
-    const abortController = this.#createAbortController();
+    const startedAt = performance.now();
 
+    // The section renderer shares the request of the same search when it's still loading
     sectionRenderer
-      .getSectionHTML(this.dataset.sectionId, false, url)
+      .getSectionHTML(sectionId, false, url)
       .then((resultsMarkup) => {
+        const latency = performance.now() - startedAt;
+        this.#averageLatency = this.#averageLatency ? this.#averageLatency * 0.7 + latency * 0.3 : latency;
+
         if (!resultsMarkup) return;
 
-        if (abortController.signal.aborted) return;
+        cacheResults(searchTerm, resultsMarkup);
 
-        morph(predictiveSearchResults, resultsMarkup);
+        // A newer search, or a reset, started in the meantime
+        if (abortController.signal.aborted) return;
 
-        this.#resetScrollPositions();
+        this.#renderResults(resultsMarkup);
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -338,6 +565,34 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * @param {string} resultsMarkup - The markup of the results section
+   * @param {boolean} [isPrefixResults] - Whether the results are those of a shorter search
+   */
+  #renderResults(resultsMarkup, isPrefixResults = false) {
+    const { predictiveSearchResults } = this.refs;
+
+    morph(predictiveSearchResults, resultsMarkup);
+    this.#setShowingPrefixResults(isPrefixResults);
+
+    this.#updateOptions();
+    this.#resetScrollPositions();
+  }
+
+  /**
+   * Marks the results as busy while they're those of a shorter search, so their status isn't announced
+   * @param {boolean} showingPrefixResults
+   */
+  #setShowingPrefixResults(showingPrefixResults) {
+    this.#showingPrefixResults = showingPrefixResults;
+
+    if (showingPrefixResults) {
+      this.refs.predictiveSearchResults.setAttribute('aria-busy', 'true');
+    } else {
+      this.refs.predictiveSearchResults.removeAttribute('aria-busy');
+    }
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -380,6 +635,7 @@ class PredictiveSearchComponent extends Component {
     const { predictiveSearchResults, searchInput } = this.refs;
     const emptySectionId = 'predictive-search-empty';
 
+    clearTimeout(this.#searchTimeout);
     this.#currentIndex = -1;
     searchInput.value = '';
     this.#hideResetButton();
@@ -421,10 +677,98 @@ class PredictiveSearchComponent extends Component {
     if (abortController.signal.aborted) return;
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
+    this.#setShowingPrefixResults(false);
+    this.#renderRecentSearches();
     this.#resetScrollPositions();
   };
 }
 
+/**
+ * Builds the URL of the search page for a query
+ * @param {string} query - The query
+ * @returns {URL}
+ */
+function getSearchUrl(query) {
+  const searchUrl = new URL(Theme.routes.search_url, location.origin);
+  searchUrl.searchParams.set('q', query);
+
+  return searchUrl;
+}
+
+/**
+ * @param {string} query - The query
+ * @returns {string} The query as results are cached under, ignoring case and extra spaces
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Gets the results of a search made on this page, unless they expired
+ * @param {string} query - The query
+ * @returns {CachedResults | undefined}
+ */
+function getCachedResults(query) {
+  const key = normalizeQuery(query);
+  const results = resultsCache.get(key);
+  if (!results) return;
+
+  resultsCache.delete(key);
+  if (performance.now() - results.createdAt > RESULTS_CACHE_TTL) return;
+
+  // Move the results to the end, as the most recently used
+  resultsCache.set(key, results);
+
+  return results;
+}
+
+/**
+ * Keeps the results of a search, dropping the least recently used ones past the cache size
+ * @param {string} query - The query
+ * @param {string} html - The markup of the results section
+ */
+function cacheResults(query, html) {
+  const key = normalizeQuery(query);
+  const count = Number(html.match(/data-results-count="(\d+)"/)?.[1] ?? 0);
+
+  resultsCache.delete(key);
+  resultsCache.set(key, { html, count, createdAt: performance.now() });
+
+  for (const oldestKey of resultsCache.keys()) {
+    if (resultsCache.size <= RESULTS_CACHE_SIZE) break;
+    resultsCache.delete(oldestKey);
+  }
+}
+
+/**
+ * Gets the results of the longest search the query extends by typing more of its last word, e.g. `red sh` for
+ * `red shoe`. Their products likely still match, so they're worth showing while the query's own results load.
+ * @param {string} query - The query
+ * @returns {CachedResults | undefined}
+ */
+function getPrefixResults(query) {
+  const normalizedQuery = normalizeQuery(query);
+
+  for (let length = normalizedQuery.length - 1; length > 0; length--) {
+    const prefix = normalizedQuery.slice(0, length);
+    if (prefix.endsWith(' ')) return;
+
+    const results = getCachedResults(prefix);
+    if (results) return results.count > 0 ? results : undefined;
+  }
+}
+
+/**
+ * Checks whether an event target is a field or editable region, where `/` is typed rather than a shortcut
+ * @param {EventTarget | null} target - The event target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  if (!(target instanceof HTMLElement)) return false;
+
+  return target.isContentEditable || target.matches('input, textarea, select');
+}
+
 if (!customElements.get('predictive-search-component')) {
   customElements.define('predictive-search-component', PredictiveSearchComponent);
 }
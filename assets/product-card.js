@@ -1,10 +1,19 @@
 import { OverflowList } from '@theme/overflow-list';
 import VariantPicker from '@theme/variant-picker';
 import { Component } from '@theme/component';
-import { debounce, isDesktopBreakpoint, mediaQueryLarge, yieldToMainThread } from '@theme/utilities';
+import {
+  debounce,
+  isDesktopBreakpoint,
+  mediaQueryLarge,
+  prefersReducedMotion,
+  yieldToMainThread,
+} from '@theme/utilities';
 import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent, SlideshowSelectEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 
+/** How long product cards take to fade in and out when the grid is re-rendered, in milliseconds */
+const CARD_ANIMATION_DURATION = 200;
+
 /**
  * A custom element that displays a product card.
  *
@@ -93,6 +102,35 @@ export class ProductCard extends Component {
     this.removeEventListener('click', this.navigateToProduct);
   }
 
+  /**
+   * Fades the card in when a re-render adds it to the grid, e.g. after a filter change.
+   */
+  morphEnterCallback() {
+    if (prefersReducedMotion()) return;
+
+    this.animate(
+      [
+        { opacity: 0, transform: 'translateY(8px)' },
+        { opacity: 1, transform: 'none' },
+      ],
+      { duration: CARD_ANIMATION_DURATION, easing: 'ease-out' }
+    );
+  }
+
+  /**
+   * Fades the card out before a re-render removes it from the grid.
+   * @returns {Promise<unknown> | void}
+   */
+  morphLeaveCallback() {
+    if (prefersReducedMotion()) return;
+
+    return this.animate([{ opacity: 1 }, { opacity: 0 }], {
+      duration: CARD_ANIMATION_DURATION,
+      easing: 'ease-in',
+      fill: 'forwards',
+    }).finished;
+  }
+
   #preloadNextPreviewImage() {
     const currentSlide = this.refs.slideshow?.slides?.[this.refs.slideshow?.current];
     currentSlide?.nextElementSibling?.querySelector('img[loading="lazy"]')?.removeAttribute('loading');
@@ -131,13 +169,17 @@ export class ProductCard extends Component {
     // by this component and should not affect anything outside the card.
     event.stopPropagation();
 
+    // Product cards don't embed their variants, so their updates always come with the section HTML
+    const { html } = event.detail.data;
+    if (!html) return;
+
     this.updatePrice(event);
     this.#isUnavailableVariantSelected(event);
     this.#updateProductUrl(event);
     this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
 
     if (event.target !== this.variantPicker) {
-      this.variantPicker?.updateVariantPicker(event.detail.data.html);
+      this.variantPicker?.updateVariantPicker(html);
     }
 
     this.#updateVariantImages();
@@ -179,7 +221,7 @@ export class ProductCard extends Component {
    */
   updatePrice(event) {
     const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
-    const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
+    const newPriceElement = event.detail.data.html?.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
       morph(priceContainer, newPriceElement);
@@ -222,6 +264,8 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #isUnavailableVariantSelected(event) {
+    if (!event.detail.data.html) return;
+
     const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (
       event.detail.data.html.querySelectorAll('input:checked')
     );
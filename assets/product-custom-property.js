@@ -1,23 +1,114 @@
 // assets/product-custom-property.js
 import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 
 /**
  * @typedef {object} ProductCustomPropertyRefs
- * @property {HTMLInputElement | HTMLTextAreaElement} textInput - The text input.
- * @property {HTMLElement} characterCount - The character count element.
+ * @property {HTMLInputElement | HTMLTextAreaElement} [textInput] - The text input.
+ * @property {HTMLElement} [characterCount] - The character count element.
+ * @property {HTMLInputElement} [valueInput] - The hidden input submitting the choices of a checkbox group.
+ * @property {HTMLInputElement[]} [choices] - The checkboxes of a checkbox group.
+ * @property {HTMLInputElement} [fileInput] - The file input.
+ * @property {HTMLImageElement} [preview] - The preview of the uploaded image.
+ * @property {HTMLElement} error - The inline error message.
  */
 
 /**
- * A custom element that manages product custom properties
+ * A custom element that manages product custom properties.
+ *
+ * The fields are validated with the product form they belong to: every check goes through the constraint validation
+ * API, so an invalid field blocks the submit, and its error is shown inline instead of in the browser's bubble.
+ * A field can be shown only for a variant option value, or for a value of another custom property.
+ *
  * @extends Component<ProductCustomPropertyRefs>
  */
-class ProductCustomProperty extends Component {
+export class ProductCustomProperty extends Component {
+  requiredRefs = ['error'];
+
+  #abortController = new AbortController();
+
+  /** @type {string | undefined} */
+  #previewUrl;
+
+  /**
+   * The values of the field, empty when it's hidden or has none
+   * @returns {string[]}
+   */
+  get values() {
+    const { choices } = this.refs;
+
+    if (this.hidden) return [];
+    if (choices?.length) return choices.filter((choice) => choice.checked).map((choice) => choice.value);
+
+    return this.#controls
+      .filter((control) => control.name && !control.disabled)
+      .filter((control) => !(control instanceof HTMLInputElement && control.type === 'radio') || control.checked)
+      .filter((control) => !(control instanceof HTMLInputElement && control.type === 'checkbox') || control.checked)
+      .map((control) =>
+        control instanceof HTMLInputElement && control.type === 'file' ? control.files?.[0]?.name ?? '' : control.value
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * @returns {Array<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>}
+   */
+  get #controls() {
+    return Array.from(this.querySelectorAll('input, select, textarea'));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+
+    // Cancelling the event replaces the browser's bubble with the inline error
+    this.addEventListener('invalid', this.#onInvalid, { capture: true, signal });
+
+    if (this.dataset.conditionOptionIndex) {
+      const target = this.closest('.shopify-section, dialog');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    }
+
+    if (this.dataset.conditionProperty) {
+      document.addEventListener('input', this.#onPropertyChange, { signal });
+      document.addEventListener('change', this.#onPropertyChange, { signal });
+
+      // The other field may be defined after this one
+      queueMicrotask(() => this.#updatePropertyCondition());
+    }
+
+    this.#setVisible(!this.hidden, true);
+    this.#updateValidity();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    if (this.#previewUrl) URL.revokeObjectURL(this.#previewUrl);
+  }
+
   handleInput() {
     this.#updateCharacterCount();
+    this.#updateValidity();
+    this.#clearErrorIfValid();
+  }
+
+  /**
+   * Handles the change event of the selects, dates, swatches, checkboxes and files.
+   */
+  handleChange() {
+    this.#updateValueInput();
+    this.#updateValidity();
+    this.#updatePreview();
+    this.#clearErrorIfValid();
   }
 
   #updateCharacterCount() {
     const { characterCount, textInput } = this.refs;
+    if (!characterCount || !textInput) return;
+
     const currentLength = textInput.value.length;
     const maxLength = textInput.maxLength;
 
@@ -28,6 +119,222 @@ class ProductCustomProperty extends Component {
 
     characterCount.textContent = updatedText;
   }
+
+  /**
+   * Joins the checked choices of a checkbox group into the value submitted with the form.
+   */
+  #updateValueInput() {
+    const { valueInput } = this.refs;
+    if (!valueInput) return;
+
+    valueInput.value = this.values.join(', ');
+  }
+
+  /**
+   * Sets the errors the browser can't check by itself: the pattern of text areas, the required checkbox groups and
+   * the type and size of the uploaded file.
+   */
+  #updateValidity() {
+    const { textInput, choices, fileInput } = this.refs;
+    const { pattern, patternMessage = '', required, requiredMessage = '' } = this.dataset;
+
+    if (textInput && pattern) {
+      textInput.setCustomValidity(matchesPattern(textInput.value, pattern) ? '' : patternMessage);
+    }
+
+    if (choices?.length) {
+      const isMissing = required === 'true' && !choices.some((choice) => choice.checked);
+      choices[0]?.setCustomValidity(isMissing ? requiredMessage : '');
+    }
+
+    if (fileInput) {
+      fileInput.setCustomValidity(this.#getFileError(fileInput.files?.[0]));
+    }
+  }
+
+  /**
+   * @param {File | undefined} file - The uploaded file
+   * @returns {string} The error message, empty when the file can be uploaded
+   */
+  #getFileError(file) {
+    if (!file) return '';
+
+    const { acceptedFileTypes = '', maxFileSize, fileTypeMessage = '', fileSizeMessage = '' } = this.dataset;
+    const types = acceptedFileTypes
+      .split(',')
+      .map((type) => type.trim().toLowerCase())
+      .filter(Boolean);
+    const name = file.name.toLowerCase();
+
+    const isAccepted =
+      types.length === 0 ||
+      types.some((type) => {
+        if (type.startsWith('.')) return name.endsWith(type);
+        if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+        return file.type === type;
+      });
+
+    if (!isAccepted) return fileTypeMessage.replace('{{ types }}', types.join(', '));
+
+    if (maxFileSize && file.size > Number(maxFileSize) * 1024 * 1024) {
+      return fileSizeMessage.replace('{{ size }}', maxFileSize);
+    }
+
+    return '';
+  }
+
+  /**
+   * Previews the uploaded file when it's a valid image.
+   */
+  #updatePreview() {
+    const { fileInput, preview } = this.refs;
+    if (!fileInput || !preview) return;
+
+    const file = fileInput.files?.[0];
+
+    if (this.#previewUrl) URL.revokeObjectURL(this.#previewUrl);
+    const isImage = file?.type.startsWith('image/') && fileInput.validity.valid;
+    this.#previewUrl = file && isImage ? URL.createObjectURL(file) : undefined;
+
+    if (this.#previewUrl) {
+      preview.src = this.#previewUrl;
+    } else {
+      preview.removeAttribute('src');
+    }
+
+    preview.hidden = !this.#previewUrl;
+  }
+
+  /**
+   * @param {Event} event - The invalid event of a field.
+   */
+  #onInvalid = (event) => {
+    const control = event.target;
+    if (!isControl(control)) return;
+
+    event.preventDefault();
+    this.#setError(control.validity.valueMissing ? this.dataset.requiredMessage ?? '' : control.validationMessage);
+
+    // The browser doesn't focus a field when its invalid event is cancelled, only the first one of the form is
+    const firstInvalidControl = Array.from(control.form?.elements ?? []).find(
+      (element) => isControl(element) && !element.validity.valid
+    );
+
+    if (firstInvalidControl === control) control.focus();
+  };
+
+  #clearErrorIfValid() {
+    if (this.#controls.every((control) => control.validity.valid)) this.#setError('');
+  }
+
+  /**
+   * @param {string} message - The error, empty to clear it
+   */
+  #setError(message) {
+    this.refs.error.textContent = message;
+
+    for (const control of this.#controls) {
+      control.toggleAttribute('aria-invalid', Boolean(message) && !control.validity.valid);
+    }
+  }
+
+  /**
+   * Shows or hides the field. Hidden fields are disabled, so they're neither submitted nor validated.
+   * @param {boolean} visible
+   * @param {boolean} [force] - Whether to update the fields even when the visibility doesn't change
+   */
+  #setVisible(visible, force = false) {
+    if (this.hidden === !visible && !force) return;
+
+    this.hidden = !visible;
+
+    for (const control of this.#controls) control.disabled = !visible;
+    if (!visible) this.#setError('');
+
+    // Lets the fields shown for a value of this one update too
+    if (!force) this.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const index = Number(this.dataset.conditionOptionIndex);
+    const variant = event.detail.resource;
+
+    this.#setVisible(Boolean(variant) && variant?.options?.[index] === this.dataset.conditionValue);
+  };
+
+  /**
+   * @param {Event} event - The input or change event of any field on the page.
+   */
+  #onPropertyChange = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const property = event.target.closest('product-custom-property-component');
+
+    if (property !== this && property === this.#getConditionProperty()) this.#updatePropertyCondition();
+  };
+
+  /**
+   * @returns {ProductCustomProperty | undefined} The field this one is shown for
+   */
+  #getConditionProperty() {
+    const { formId, conditionProperty } = this.dataset;
+
+    /** @type {NodeListOf<ProductCustomProperty>} */
+    const properties = document.querySelectorAll('product-custom-property-component');
+
+    return Array.from(properties).find(
+      (property) => property.dataset.formId === formId && property.dataset.propertyKey === conditionProperty
+    );
+  }
+
+  /**
+   * Shows the field when the other one has the value it's shown for, or any value when none is set.
+   */
+  #updatePropertyCondition() {
+    const values = this.#getConditionProperty()?.values ?? [];
+    const { conditionValue } = this.dataset;
+
+    this.#setVisible(conditionValue ? values.includes(conditionValue) : values.length > 0);
+  }
+}
+
+/**
+ * @param {unknown} element
+ * @returns {element is HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement}
+ */
+function isControl(element) {
+  return (
+    element instanceof HTMLInputElement ||
+    element instanceof HTMLSelectElement ||
+    element instanceof HTMLTextAreaElement
+  );
+}
+
+/**
+ * @param {string} value - The value of the field
+ * @param {string} pattern - The pattern the whole value has to match, like the `pattern` attribute
+ * @returns {boolean} Whether the value matches, or is empty, or the pattern isn't a valid regular expression
+ */
+function matchesPattern(value, pattern) {
+  if (!value) return true;
+
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+  } catch (error) {
+    console.error('Invalid custom property pattern:', error);
+    return true;
+  }
 }
 
-customElements.define('product-custom-property-component', ProductCustomProperty);
+if (!customElements.get('product-custom-property-component')) {
+  customElements.define('product-custom-property-component', ProductCustomProperty);
+}
@@ -1,6 +1,13 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { cartClient } from '@theme/cart';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  CartUpdateEvent,
+  SellingPlanUpdateEvent,
+  VariantUpdateEvent,
+} from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
@@ -185,6 +192,12 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {HTMLInputElement | undefined} sellingPlanId - The form input for submitting the selling plan ID.
+ * @property {import('./selling-plan-picker').SellingPlanPickerComponent | undefined} sellingPlanPicker - The
+ * selling plan picker.
+ * @property {HTMLInputElement | undefined} preorderProperty - The `_preorder` line item property, disabled unless the
+ * variant is sold on pre-order.
+ * @property {HTMLElement | undefined} preorderMessage - The expected ship date of the pre-order.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -202,6 +215,7 @@ class ProductFormComponent extends Component {
     const target = this.closest('.shopify-section, dialog, product-card');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
+    this.addEventListener(ThemeEvents.sellingPlanUpdate, this.#onSellingPlanUpdate, { signal });
 
     // Listen for cart updates to sync data-cart-quantity
     document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
@@ -246,8 +260,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartClient.refresh();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -300,6 +313,9 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
+    // Forms with `novalidate` skip the browser's validation, the custom properties have to block them too
+    if (!form.reportValidity()) return;
+
     if (this.refs.quantitySelector?.canAddToCart) {
       const validation = this.refs.quantitySelector.canAddToCart();
 
@@ -344,54 +360,23 @@ class ProductFormComponent extends Component {
     }
 
     const formData = new FormData(form);
-
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    const itemCount = Number(formData.get('quantity')) || Number(this.dataset.quantityDefault);
+
+    cartClient
+      .add(formData, {
+        target: this,
+        sourceId: formData.get('id')?.toString(),
+        source: 'product-form-component',
+        data: { itemCount, productId: this.dataset.productId },
+      })
       .then(async (response) => {
         if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
-
+          // The cart client dispatched the cart error event
           if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+          this.#showAddToCartError(response.message);
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
+          // Nothing reached the cart when the cart client refused the add itself
+          if (response.refused) return;
 
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
@@ -399,7 +384,7 @@ class ProductFormComponent extends Component {
             new CartAddEvent({}, this.id, {
               didError: true,
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount,
               productId: this.dataset.productId,
             })
           );
@@ -429,17 +414,8 @@ class ProductFormComponent extends Component {
             }, SUCCESS_MESSAGE_DISPLAY_DURATION);
           }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+          // The cart client refetches the cart after adding, so this is the actual total quantity for this variant
+          if (cartClient.state) this.#updateCartQuantityFromData(cartClient.state);
         }
       })
       .catch((error) => {
@@ -450,6 +426,37 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Shows an error under the add to cart button, and announces it, for a while.
+   * @param {string} message - The error message
+   */
+  #showAddToCartError(message) {
+    const { addToCartTextError } = this.refs;
+    if (!addToCartTextError) return;
+
+    addToCartTextError.classList.remove('hidden');
+
+    // Reuse the text node if the user is spam-clicking
+    const textNode = addToCartTextError.childNodes[2];
+    if (textNode) {
+      textNode.textContent = message;
+    } else {
+      const newTextNode = document.createTextNode(message);
+      addToCartTextError.appendChild(newTextNode);
+    }
+
+    // Create or get existing error live region for screen readers
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -510,6 +517,10 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    // The selling plans available, and their prices, depend on the variant
+    this.refs.sellingPlanPicker?.updateVariant(event.detail.resource);
+    this.#updatePreorder(event);
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
@@ -523,7 +534,7 @@ class ProductFormComponent extends Component {
       currentAddToCartButtonContainer.enable();
     }
 
-    const newAddToCartButton = event.detail.data.html.querySelector('product-form-component [ref="addToCartButton"]');
+    const newAddToCartButton = event.detail.data.html?.querySelector('product-form-component [ref="addToCartButton"]');
     if (newAddToCartButton && currentAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
     }
@@ -547,6 +558,14 @@ class ProductFormComponent extends Component {
       }
     }
 
+    const { html } = event.detail.data;
+
+    // The variant was resolved by the variant picker, the rest is updated once the section HTML is fetched
+    if (!html) {
+      this.#updateAddToCartText(event.detail.resource);
+      return;
+    }
+
     // Check if quantity rules, price-per-item, or add-to-cart are appearing/disappearing (causes layout shift)
     const {
       quantityRules,
@@ -559,31 +578,31 @@ class ProductFormComponent extends Component {
 
     // Update quantity selector's min/max/step attributes and cart quantity for the new variant
     const newQuantityInput = /** @type {HTMLInputElement | null} */ (
-      event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+      html.querySelector('quantity-selector-component input[ref="quantityInput"]')
     );
 
     if (quantitySelector?.updateConstraints && newQuantityInput) {
       quantitySelector.updateConstraints(newQuantityInput.min, newQuantityInput.max || null, newQuantityInput.step);
     }
 
-    const newQuantityRules = event.detail.data.html.querySelector('.quantity-rules');
+    const newQuantityRules = html.querySelector('.quantity-rules');
     const isQuantityRulesChanging = !!quantityRules !== !!newQuantityRules;
 
-    const newPricePerItem = event.detail.data.html.querySelector('price-per-item');
+    const newPricePerItem = html.querySelector('price-per-item');
     const isPricePerItemChanging = !!pricePerItem !== !!newPricePerItem;
 
     if ((isQuantityRulesChanging || isPricePerItemChanging) && quantitySelector) {
       // Store quantity value before morphing entire container
       const currentQuantityValue = quantitySelector.getValue?.();
 
-      const newProductFormButtons = event.detail.data.html.querySelector('.product-form-buttons');
+      const newProductFormButtons = html.querySelector('.product-form-buttons');
 
       if (productFormButtons && newProductFormButtons) {
         morph(productFormButtons, newProductFormButtons);
 
         // Get the NEW quantity selector after morphing and update its constraints
         const newQuantityInputElement = /** @type {HTMLInputElement | null} */ (
-          event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+          html.querySelector('quantity-selector-component input[ref="quantityInput"]')
         );
 
         if (this.refs.quantitySelector?.updateConstraints && newQuantityInputElement && currentQuantityValue) {
@@ -607,13 +626,13 @@ class ProductFormComponent extends Component {
       ];
 
       for (const [selector, currentElement, fallback] of morphTargets) {
-        this.#morphOrUpdateElement(currentElement, event.detail.data.html.querySelector(selector), fallback);
+        this.#morphOrUpdateElement(currentElement, html.querySelector(selector), fallback);
       }
     }
 
     // Morph volume pricing if it exists
     const currentVolumePricing = this.refs.volumePricing;
-    const newVolumePricing = event.detail.data.html.querySelector('volume-pricing');
+    const newVolumePricing = html.querySelector('volume-pricing');
     this.#morphOrUpdateElement(currentVolumePricing, newVolumePricing, this.refs.productFormButtons);
 
     const hasB2BFeatures =
@@ -625,6 +644,83 @@ class ProductFormComponent extends Component {
     await this.#fetchAndUpdateCartQuantity();
   };
 
+  /**
+   * Updates the add to cart button text for a variant resolved by the variant picker.
+   * @param {VariantUpdateEvent['detail']['resource']} variant
+   */
+  #updateAddToCartText(variant) {
+    const text = this.refs.addToCartButtonContainer?.refs.addToCartButton.querySelector(
+      '.add-to-cart-text__content > span > span'
+    );
+    if (!text) return;
+
+    const isSoldOut =
+      variant?.inventory_management === 'shopify' &&
+      variant.inventory_policy === 'deny' &&
+      (variant.inventory_quantity ?? 0) <= 0;
+
+    const message = variant?.available
+      ? variant.preorder
+        ? this.dataset.preorderText
+        : this.dataset.addToCartText
+      : isSoldOut
+      ? this.dataset.soldOutText
+      : this.dataset.unavailableText;
+
+    if (message) text.textContent = message;
+    this.refs.addToCartButtonContainer?.refs.addToCartButton.toggleAttribute(
+      'data-preorder',
+      Boolean(variant?.available && variant.preorder)
+    );
+  }
+
+  /**
+   * Shows the expected ship date and tags the line item when the variant is sold on pre-order.
+   * @param {VariantUpdateEvent} event
+   */
+  #updatePreorder(event) {
+    const { preorderProperty, preorderMessage } = this.refs;
+    const { resource: variant, data } = event.detail;
+
+    // The variant JSON of the section HTML lacks the metafields, the form rendered from them is used instead
+    if (data.html) {
+      const newPreorderProperty = data.html.querySelector('product-form-component [ref="preorderProperty"]');
+      const newPreorderMessage = data.html.querySelector('product-form-component [ref="preorderMessage"]');
+
+      if (preorderProperty && newPreorderProperty) morph(preorderProperty, newPreorderProperty);
+      if (preorderMessage && newPreorderMessage) morph(preorderMessage, newPreorderMessage);
+      return;
+    }
+
+    const isPreorder = Boolean(variant?.available && variant.preorder);
+    const shipDate = variant?.preorder_ship_date;
+
+    if (preorderProperty) {
+      preorderProperty.value = shipDate || 'true';
+      preorderProperty.disabled = !isPreorder;
+    }
+
+    if (preorderMessage) {
+      preorderMessage.hidden = !isPreorder;
+      preorderMessage.textContent = shipDate
+        ? (this.dataset.preorderShipDateText ?? '').replace('{{ date }}', shipDate)
+        : this.dataset.preorderInfoText ?? '';
+    }
+  }
+
+  /**
+   * Submits the selling plan chosen in the picker, or none for a one-time purchase.
+   * @param {SellingPlanUpdateEvent} event
+   */
+  #onSellingPlanUpdate = (event) => {
+    const { sellingPlanId } = this.refs;
+    if (!sellingPlanId) return;
+
+    sellingPlanId.value = event.detail.resource?.id ?? '';
+    // An empty `selling_plan` isn't accepted by the cart, it's left out of the form instead
+    sellingPlanId.disabled = !sellingPlanId.value;
+  };
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
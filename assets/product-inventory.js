@@ -23,12 +23,62 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const { html } = event.detail.data;
+
+    if (!html) {
+      this.#renderStatus(event.detail.resource);
+      return;
+    }
+
+    const newInventory = html.querySelector('product-inventory');
 
     if (!newInventory) return;
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Renders the inventory status of a variant resolved by the variant picker, before the section HTML is fetched.
+   * The low stock count is pluralized by the section HTML, so it waits for it.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant.
+   */
+  #renderStatus(variant) {
+    if (!variant || variant.inventory_quantity == null) return;
+
+    const threshold = Number(this.dataset.threshold);
+    const quantity = variant.inventory_quantity;
+
+    /** @type {'in_stock' | 'low' | 'out_of_stock'} */
+    let status = 'in_stock';
+
+    if (variant.inventory_management === 'shopify') {
+      if (quantity > 0 && quantity <= threshold) {
+        status = 'low';
+      } else if (quantity <= 0 && variant.inventory_policy !== 'continue') {
+        status = 'out_of_stock';
+      }
+    }
+
+    if (status === 'low' && this.hasAttribute('data-show-quantity')) return;
+
+    const icon = this.querySelector('.product-inventory__icon');
+    const text = this.querySelector('.product-inventory__text');
+    const message = {
+      in_stock: this.dataset.inStockMessage,
+      low: this.dataset.lowStockMessage,
+      out_of_stock: this.dataset.outOfStockMessage,
+    }[status];
+
+    if (!icon || !text || !message) return;
+
+    icon.classList.remove(
+      'product-inventory__icon-in_stock',
+      'product-inventory__icon-low',
+      'product-inventory__icon-out_of_stock'
+    );
+    icon.classList.add(`product-inventory__icon-${status}`);
+    text.textContent = message;
+  }
 }
 
 if (!customElements.get('product-inventory')) {
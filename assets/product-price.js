@@ -1,4 +1,5 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
 
 /**
  * A custom element that displays a product price.
@@ -31,8 +32,15 @@ class ProductPrice extends HTMLElement {
       return;
     }
 
+    const { html } = event.detail.data;
+
+    if (!html) {
+      this.#renderPrice(event.detail.resource);
+      return;
+    }
+
     // Find the new product-price element in the updated HTML
-    const newProductPrice = event.detail.data.html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
+    const newProductPrice = html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
     if (!newProductPrice) return;
 
     // Update price container
@@ -52,6 +60,29 @@ class ProductPrice extends HTMLElement {
       currentNote.replaceWith(newNote);
     }
   };
+
+  /**
+   * Renders the price of a variant resolved by the variant picker, before the section HTML is fetched.
+   * Prices whose markup changes with the variant, like volume pricing or a sale starting, wait for the section HTML.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant.
+   */
+  #renderPrice(variant) {
+    const priceContainer = this.querySelector('[ref="priceContainer"]');
+    if (!(priceContainer instanceof HTMLElement) || variant?.price == null) return;
+
+    const { moneyFormat, currency = '' } = priceContainer.dataset;
+    const price = priceContainer.querySelector('.price');
+    const compareAtPrice = priceContainer.querySelector('.compare-at-price');
+    const isOnSale = (variant.compare_at_price ?? 0) > variant.price;
+
+    if (!moneyFormat || !price || price.classList.contains('price-range') || isOnSale !== !!compareAtPrice) return;
+
+    price.textContent = formatCents(variant.price, moneyFormat, currency);
+
+    if (compareAtPrice && variant.compare_at_price) {
+      compareAtPrice.textContent = formatCents(variant.compare_at_price, moneyFormat, currency);
+    }
+  }
 }
 
 if (!customElements.get('product-price')) {
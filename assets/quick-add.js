@@ -230,7 +230,8 @@ export class QuickAddComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
     if (event.target.closest('product-card') !== this.closest('product-card')) return;
     const productOptionsCount = this.dataset.productOptionsCount;
-    const quickAddButton = productOptionsCount === '1' ? 'add' : 'choose';
+    const requiresModal = this.dataset.requiresSellingPlan === 'true' || this.dataset.hasPreorder === 'true';
+    const quickAddButton = productOptionsCount === '1' && !requiresModal ? 'add' : 'choose';
     this.setAttribute('data-quick-add-button', quickAddButton);
   }
 
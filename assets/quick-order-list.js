@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { cartClient } from '@theme/cart';
+import { QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 
 /**
@@ -224,23 +225,16 @@ class QuickOrderListComponent extends Component {
         return;
       }
 
-      const sectionIds = this.#getSectionIds();
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
-
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartClient.update(
+        { updates },
+        {
+          sourceId: this.id,
+          source: 'quick-order-remove-all',
+          sections: this.#getSectionIds(),
+          sectionsUrl: this.#getSectionsUrl(),
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
@@ -249,13 +243,6 @@ class QuickOrderListComponent extends Component {
       } else {
         this.#updateSectionHTML(data);
         this.#toggleConfirmationPanel(false);
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-remove-all',
-            sections: data.sections,
-          })
-        );
       }
     } catch (error) {
       if (error.name !== 'AbortError') {
@@ -309,23 +296,17 @@ class QuickOrderListComponent extends Component {
       const updates = {};
       updates[variantId] = quantity;
 
-      // Include page parameter in sections URL to maintain pagination state
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
-
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartClient.update(
+        { updates },
+        {
+          sourceId: this.id,
+          source: 'quick-order-quantity',
+          data: { variantId },
+          sections: this.#getSectionIds(),
+          sectionsUrl: this.#getSectionsUrl(),
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
@@ -334,7 +315,7 @@ class QuickOrderListComponent extends Component {
         if (this.dataset.sectionId) {
           const url = new URL(window.location.href);
           url.searchParams.set('page', this.currentPage.toString());
-          await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
+          await sectionRenderer.renderSections([this.dataset.sectionId], { cache: false, url });
         }
       } else {
         this.#updateSectionHTML(data);
@@ -343,14 +324,6 @@ class QuickOrderListComponent extends Component {
         if (quantityAdded > 0) {
           this.#showSuccessMessage(quantityAdded);
         }
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-quantity',
-            variantId: variantId,
-            sections: data.sections,
-          })
-        );
       }
     } catch (error) {
       if (error.name !== 'AbortError') {
@@ -387,7 +360,7 @@ class QuickOrderListComponent extends Component {
       const url = new URL(window.location.href);
       url.searchParams.set('page', this.currentPage.toString());
 
-      await sectionRenderer.renderSection(this.dataset.sectionId, {
+      await sectionRenderer.renderSections([this.dataset.sectionId], {
         cache: false,
         url,
       });
@@ -508,26 +481,22 @@ class QuickOrderListComponent extends Component {
   }
 
   /**
-   * Gets the section IDs for updating
+   * Gets the section IDs to render along with the cart sections
    * @returns {string[]} Array of section IDs
    */
   #getSectionIds() {
-    const sectionIds = [];
-
-    if (this.dataset.sectionId) {
-      sectionIds.push(this.dataset.sectionId);
-    }
+    return this.dataset.sectionId ? [this.dataset.sectionId] : [];
+  }
 
-    // Also include all cart-items-component sections (like cart drawer) for smooth updates
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    for (const component of cartItemsComponents) {
-      if (!(component instanceof HTMLElement)) continue;
-      if (component.dataset.sectionId && !sectionIds.includes(component.dataset.sectionId)) {
-        sectionIds.push(component.dataset.sectionId);
-      }
-    }
+  /**
+   * Gets the URL to render the sections for, with the page parameter to maintain pagination state
+   * @returns {string} The sections URL
+   */
+  #getSectionsUrl() {
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-    return sectionIds;
+    return sectionsUrl.pathname + sectionsUrl.search;
   }
 }
 
@@ -0,0 +1,70 @@
+/**
+ * Keeps the queries the shopper searched for in localStorage, most recent first.
+ */
+export class RecentSearches {
+  /** @static @constant {string} The key used to store the queries in local storage */
+  static #STORAGE_KEY = 'recentSearches';
+  /** @static @constant {number} The maximum number of queries to store */
+  static #MAX_QUERIES = 6;
+
+  /**
+   * Adds a query to the recent searches, or moves it to the top when it was searched for before.
+   * @param {string} query - The query to add.
+   */
+  static addQuery(query) {
+    const trimmedQuery = query.trim().replace(/\s+/g, ' ');
+    if (!trimmedQuery) return;
+
+    const queries = this.getQueries().filter((recentQuery) => !isSameQuery(recentQuery, trimmedQuery));
+
+    queries.unshift(trimmedQuery);
+    this.#setQueries(queries.slice(0, this.#MAX_QUERIES));
+  }
+
+  /**
+   * Removes a query from the recent searches.
+   * @param {string} query - The query to remove.
+   */
+  static removeQuery(query) {
+    this.#setQueries(this.getQueries().filter((recentQuery) => !isSameQuery(recentQuery, query)));
+  }
+
+  static clearQueries() {
+    localStorage.removeItem(this.#STORAGE_KEY);
+  }
+
+  /**
+   * Retrieves the recent searches from local storage.
+   * @returns {string[]} The queries, most recent first.
+   */
+  static getQueries() {
+    try {
+      const queries = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(queries) ? queries.filter((query) => typeof query === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string[]} queries
+   */
+  static #setQueries(queries) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(queries));
+    } catch (error) {
+      // Storage is full or unavailable, the history isn't worth failing a search for
+    }
+  }
+}
+
+/**
+ * Checks whether two queries are the same search, ignoring case
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameQuery(a, b) {
+  return a.localeCompare(b, undefined, { sensitivity: 'accent' }) === 0;
+}
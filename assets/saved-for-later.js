@@ -0,0 +1,450 @@
+import { Component } from '@theme/component';
+import { cartClient, isCartError } from '@theme/cart';
+import { ThemeEvents, SavedForLaterUpdateEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { fetchConfig } from '@theme/utilities';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {number} variantId
+ * @property {number} productId
+ * @property {string} [url] - The URL of the product, used to render the item
+ * @property {number} quantity
+ * @property {Record<string, string>} [properties]
+ * @property {number} [sellingPlan]
+ */
+
+/** The key used to store the items saved by guests in local storage */
+const STORAGE_KEY = 'saved-for-later';
+
+/** The maximum number of saved items, also the number of products the section renders */
+const MAX_ITEMS = 50;
+
+/**
+ * Gets the key of a saved item. A variant saved with different properties or selling plans is saved as separate
+ * items, like the cart keeps them as separate lines.
+ * @param {SavedItem} item
+ * @returns {string}
+ */
+export function getItemKey({ variantId, properties = {}, sellingPlan }) {
+  return `${variantId}:${sellingPlan ?? ''}:${JSON.stringify(properties)}`;
+}
+
+/**
+ * Gets the URL of the product page of a saved item, without the variant selected.
+ * @param {string} [url] - The URL the item was saved with
+ * @returns {URL | null}
+ */
+function getProductUrl(url) {
+  if (!url) return null;
+
+  const productUrl = new URL(url, location.origin);
+  productUrl.search = '';
+
+  return productUrl;
+}
+
+/**
+ * Reads the items saved by a guest.
+ * @returns {SavedItem[]}
+ */
+function readLocalItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    console.error('Invalid saved for later items:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes the items saved by a guest.
+ * @param {SavedItem[]} items
+ */
+function writeLocalItems(items) {
+  try {
+    if (items.length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage may be full or disabled
+    console.error('Error saving items for later:', error);
+  }
+}
+
+/**
+ * The saved for later list, which persists across sessions.
+ * Guests' items are kept in local storage. Logged in customers' items are kept in a customer metafield by the
+ * app proxy at `Theme.routes.saved_for_later_url`, which returns `{ items }` on GET and stores the `{ items }`
+ * it's POSTed. Items saved as a guest are moved to the customer's list after logging in, and items that couldn't
+ * reach the app proxy are kept locally until they can. Without an app proxy set in the theme settings, every
+ * shopper's items are kept in local storage.
+ */
+class SavedForLaterList {
+  /**
+   * The saved items, updates are chained to it so they apply in order
+   * @type {Promise<SavedItem[]> | null}
+   */
+  #items = null;
+
+  /**
+   * Whether the items are kept by the app proxy
+   * @returns {boolean}
+   */
+  get #isRemote() {
+    return Boolean(Theme.customer.id && Theme.routes.saved_for_later_url);
+  }
+
+  /**
+   * Gets the saved items, most recently saved first.
+   * @returns {Promise<SavedItem[]>}
+   */
+  getItems() {
+    if (!this.#items) this.#items = this.#load();
+
+    return this.#items;
+  }
+
+  /**
+   * Saves an item, adding to its quantity when it's already saved.
+   * @param {SavedItem} item
+   * @returns {Promise<SavedItem[]>} The saved items
+   */
+  add(item) {
+    const key = getItemKey(item);
+
+    return this.#update((items) => {
+      const existing = items.find((savedItem) => getItemKey(savedItem) === key);
+      const quantity = item.quantity + (existing?.quantity ?? 0);
+
+      return [{ ...item, quantity }, ...items.filter((savedItem) => savedItem !== existing)].slice(0, MAX_ITEMS);
+    });
+  }
+
+  /**
+   * Removes an item from the saved items.
+   * @param {string} key - The key of the item
+   * @returns {Promise<SavedItem[]>} The saved items
+   */
+  remove(key) {
+    return this.#update((items) => items.filter((item) => getItemKey(item) !== key));
+  }
+
+  /**
+   * @param {(items: SavedItem[]) => SavedItem[]} change - Returns the updated items
+   * @returns {Promise<SavedItem[]>}
+   */
+  #update(change) {
+    this.#items = this.getItems().then(async (items) => {
+      const updatedItems = change(items);
+
+      await this.#persist(updatedItems);
+      document.dispatchEvent(new SavedForLaterUpdateEvent(updatedItems));
+
+      return updatedItems;
+    });
+
+    return this.#items;
+  }
+
+  /**
+   * @returns {Promise<SavedItem[]>}
+   */
+  async #load() {
+    const localItems = readLocalItems();
+
+    if (!this.#isRemote) return localItems;
+
+    try {
+      const response = await fetch(Theme.routes.saved_for_later_url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`Saved for later fetch failed: ${response.status}`);
+
+      /** @type {{ items?: SavedItem[] }} */
+      const { items = [] } = await response.json();
+
+      if (!localItems.length) return items;
+
+      const localKeys = new Set(localItems.map(getItemKey));
+      const remoteItems = items.filter((item) => !localKeys.has(getItemKey(item)));
+      const mergedItems = [...localItems, ...remoteItems].slice(0, MAX_ITEMS);
+
+      if (await this.#persistRemote(mergedItems)) writeLocalItems([]);
+
+      return mergedItems;
+    } catch (error) {
+      console.error(error);
+      return localItems;
+    }
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  async #persist(items) {
+    if (this.#isRemote && (await this.#persistRemote(items))) {
+      writeLocalItems([]);
+      return;
+    }
+
+    writeLocalItems(items);
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   * @returns {Promise<boolean>} Whether the items were stored
+   */
+  async #persistRemote(items) {
+    try {
+      const response = await fetch(
+        Theme.routes.saved_for_later_url,
+        fetchConfig('json', { body: JSON.stringify({ items }) })
+      );
+
+      return response.ok;
+    } catch (error) {
+      console.error(error);
+      return false;
+    }
+  }
+}
+
+export const savedForLater = new SavedForLaterList();
+
+/**
+ * A custom element that lists the items saved for later, with their current price and availability.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The heading and list, hidden while the list is empty.
+ * @property {HTMLElement} heading - The list heading.
+ * @property {HTMLUListElement} list - The saved items.
+ * @property {HTMLElement} status - The live region announcing changes.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['content', 'heading', 'list', 'status'];
+
+  /** Identifies the latest render, so an older one finishing late doesn't overwrite it */
+  #renderId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#handleUpdate);
+
+    savedForLater
+      .getItems()
+      .then((items) => this.#render(items))
+      .catch((error) => console.error('Error rendering saved for later items:', error));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#handleUpdate);
+  }
+
+  /**
+   * Moves a saved item to the cart.
+   * @param {Event} event - The click event of the move button of the item.
+   */
+  async moveToCart(event) {
+    const button = event.target instanceof HTMLButtonElement ? event.target : null;
+    const key = this.#getKey(event.target);
+    const item = (await savedForLater.getItems()).find((savedItem) => getItemKey(savedItem) === key);
+
+    if (!item || !key) return;
+    if (button) button.disabled = true;
+
+    try {
+      const data = await cartClient.add(
+        {
+          items: [
+            {
+              id: item.variantId,
+              quantity: item.quantity,
+              properties: item.properties ?? {},
+              ...(item.sellingPlan ? { selling_plan: item.sellingPlan } : {}),
+            },
+          ],
+        },
+        {
+          sourceId: this.id,
+          source: 'saved-for-later',
+          data: { productId: item.productId.toString(), variantId: item.variantId.toString() },
+        }
+      );
+
+      if (isCartError(data)) {
+        this.#announce(data.description || data.message || '');
+        if (button) button.disabled = false;
+        return;
+      }
+
+      this.#announce(this.#getMessage('movedMessage', key));
+      this.#focusAfterRemoval(key);
+      await savedForLater.remove(key);
+    } catch (error) {
+      console.error(error);
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Removes an item from the saved items.
+   * @param {Event} event - The click event of the remove button of the item.
+   */
+  async removeItem(event) {
+    const key = this.#getKey(event.target);
+    if (!key) return;
+
+    this.#focusAfterRemoval(key);
+    await savedForLater.remove(key);
+  }
+
+  /**
+   * @param {SavedForLaterUpdateEvent} event
+   */
+  #handleUpdate = (event) => {
+    const { items } = event.detail;
+    const [latestItem] = items;
+    const latestKey = latestItem ? getItemKey(latestItem) : '';
+    const isNewItem = latestItem && !this.#getItemElement(latestKey);
+
+    this.#render(items)
+      .then(() => {
+        if (isNewItem) this.#announce(this.#getMessage('addedMessage', latestKey));
+      })
+      .catch((error) => console.error('Error rendering saved for later items:', error));
+  };
+
+  /**
+   * Renders the saved items from the `saved-for-later` section, rendered on the page of each saved product so
+   * prices and availability are up to date. Items already listed are kept, so only new ones are fetched.
+   * @param {SavedItem[]} items
+   */
+  async #render(items) {
+    const { content, list } = this.refs;
+    const { sectionId } = this.dataset;
+    const renderId = ++this.#renderId;
+
+    if (!items.length || !sectionId) {
+      list.replaceChildren();
+      content.hidden = true;
+      return;
+    }
+
+    /** The items already listed, by key */
+    const renderedElements = new Map(items.map((item) => [getItemKey(item), this.#getItemElement(getItemKey(item))]));
+
+    /**
+     * The section rendered on the product page of each item, the variants of a product sharing it
+     * @type {Map<string, Promise<Document | null>>}
+     */
+    const productPages = new Map();
+
+    for (const item of items) {
+      const productUrl = getProductUrl(item.url);
+      if (!productUrl || productPages.has(productUrl.href) || renderedElements.get(getItemKey(item))) continue;
+
+      productPages.set(
+        productUrl.href,
+        sectionRenderer
+          .getSectionHTML(sectionId, !Shopify.designMode, productUrl)
+          .then((sectionHTML) => new DOMParser().parseFromString(sectionHTML, 'text/html'))
+          .catch((error) => {
+            console.error(error);
+            return null;
+          })
+      );
+    }
+
+    /** @type {HTMLElement[]} */
+    const elements = [];
+
+    // Products that are no longer available on the online store are left out
+    for (const item of items) {
+      const key = getItemKey(item);
+      const productUrl = getProductUrl(item.url);
+      const html = productUrl ? await productPages.get(productUrl.href) : null;
+      const element =
+        renderedElements.get(key) ?? html?.querySelector(`[data-variant-id="${item.variantId}"]`)?.cloneNode(true);
+      if (!(element instanceof HTMLElement)) continue;
+
+      const quantity = element.querySelector('[data-saved-quantity]');
+      if (quantity) quantity.textContent = item.quantity.toString();
+
+      element.dataset.itemKey = key;
+      elements.push(element);
+    }
+
+    if (renderId !== this.#renderId) return;
+
+    list.replaceChildren(...elements);
+    content.hidden = elements.length === 0;
+  }
+
+  /**
+   * Moves focus to the next item when the focused item is about to be removed.
+   * @param {string} key - The key of the item
+   */
+  #focusAfterRemoval(key) {
+    const element = this.#getItemElement(key);
+    if (!element?.contains(document.activeElement)) return;
+
+    const nextElement = element.nextElementSibling ?? element.previousElementSibling;
+    const nextButton = nextElement?.querySelector('button:not([disabled])');
+
+    if (nextButton instanceof HTMLElement) {
+      nextButton.focus();
+    } else {
+      this.refs.heading.focus();
+    }
+  }
+
+  /**
+   * @param {EventTarget | null} target - An element of an item
+   * @returns {string | undefined} The key of the item
+   */
+  #getKey(target) {
+    const element = target instanceof Element ? target.closest('[data-item-key]') : null;
+
+    return element instanceof HTMLElement ? element.dataset.itemKey : undefined;
+  }
+
+  /**
+   * @param {string} key - The key of the item
+   * @returns {HTMLElement | undefined}
+   */
+  #getItemElement(key) {
+    return Array.from(this.refs.list.children).find(
+      /** @returns {child is HTMLElement} */ (child) => child instanceof HTMLElement && child.dataset.itemKey === key
+    );
+  }
+
+  /**
+   * @param {'addedMessage' | 'movedMessage'} messageKey - The data attribute holding the message
+   * @param {string} key - The key of the item the message is about
+   * @returns {string}
+   */
+  #getMessage(messageKey, key) {
+    const title = this.#getItemElement(key)?.dataset.productTitle ?? '';
+
+    return (this.dataset[messageKey] ?? '').replace('{{ title }}', title);
+  }
+
+  /**
+   * @param {string} message
+   */
+  #announce(message) {
+    this.refs.status.textContent = message;
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
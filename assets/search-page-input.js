@@ -1,8 +1,15 @@
 import { Component } from '@theme/component';
+import { FilterUpdateEvent } from '@theme/events';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { normalizeSectionId, sectionRenderer } from '@theme/section-renderer';
 import { debounce } from '@theme/utilities';
 
+/** The delay before the results update while the shopper types, in milliseconds */
+const SEARCH_DELAY = 300;
+
 /**
- * A custom element that allows the user to clean a search input.
+ * A custom element that allows the user to clean a search input, and updates the results of the search page
+ * as the user types.
  *
  * @typedef {object} Refs
  * @property {HTMLInputElement} searchPageInput - The search input element.
@@ -11,6 +18,12 @@ import { debounce } from '@theme/utilities';
 class SearchPageInputComponent extends Component {
   requiredRefs = ['searchPageInput'];
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#renderEmptyState().catch((error) => console.error('Error rendering the search empty state:', error));
+  }
+
   /**
    * Handles the keydown event on the search input and resets the search when
    * empty and Escape is pressed.
@@ -25,6 +38,13 @@ class SearchPageInputComponent extends Component {
     }
   }, 100);
 
+  /**
+   * Renders the results of the search page for the query being typed, once typing pauses.
+   */
+  search = debounce(() => {
+    this.#updateResults();
+  }, SEARCH_DELAY);
+
   #submitEmptySearch() {
     const searchInput = this.refs.searchPageInput;
 
@@ -42,6 +62,85 @@ class SearchPageInputComponent extends Component {
 
     return queryParam.trim() === '';
   };
+
+  /**
+   * Renders the search header and results sections for the query, replacing the URL of the page with the
+   * query's. The filters and page are reset, as they belong to the results of the previous query.
+   */
+  async #updateResults() {
+    if (window.location.pathname !== Theme.routes.search_url) return;
+
+    const resultsList = document.querySelector('results-list');
+    const resultsSectionId = resultsList?.getAttribute('section-id');
+    const headerSection = this.closest('.shopify-section');
+    if (!resultsList || !resultsSectionId || !headerSection) return;
+
+    const url = new URL(window.location.href);
+
+    for (const key of [...url.searchParams.keys()]) {
+      if (key.startsWith('filter.') || key === 'page') url.searchParams.delete(key);
+    }
+    url.searchParams.set('q', this.refs.searchPageInput.value.trim());
+
+    if (url.href === window.location.href) return;
+
+    history.replaceState(history.state, '', url);
+    this.dispatchEvent(new FilterUpdateEvent(url.searchParams));
+
+    resultsList.setAttribute('aria-busy', 'true');
+
+    try {
+      await sectionRenderer.renderSections([normalizeSectionId(headerSection.id), resultsSectionId], { url });
+      await this.#renderEmptyState();
+    } catch (error) {
+      console.error('Error updating the search results:', error);
+    } finally {
+      // Only the latest search clears the loading state, an earlier one may finish after a later one started
+      if (url.href === window.location.href) resultsList.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Fills the empty state shown when the query has no results with the products of the predictive search empty
+   * state: the recently viewed products, then the products of the empty state collection.
+   */
+  async #renderEmptyState() {
+    const emptyState = this.closest('form')?.querySelector('[data-search-empty-state]');
+    if (!emptyState) return;
+
+    const { href } = window.location;
+    const viewedProducts = RecentlyViewed.getProducts();
+    const emptyStateUrl = new URL(Theme.routes.search_url, location.origin);
+    const recentlyViewedUrl = new URL(Theme.routes.search_url, location.origin);
+    recentlyViewedUrl.searchParams.set('q', viewedProducts.map((id) => `id:${id}`).join(' OR '));
+    recentlyViewedUrl.searchParams.set('resources[type]', 'product');
+
+    const [emptyStateHTML, recentlyViewedHTML] = await Promise.all([
+      sectionRenderer.getSectionHTML('predictive-search-empty', true, emptyStateUrl),
+      viewedProducts.length ? sectionRenderer.getSectionHTML('predictive-search', false, recentlyViewedUrl) : '',
+    ]);
+
+    // A later search replaced the results
+    if (href !== window.location.href || !emptyState.isConnected) return;
+
+    const products = new DOMParser()
+      .parseFromString(emptyStateHTML, 'text/html')
+      .getElementById('predictive-search-products');
+    const recentlyViewedProducts = new DOMParser()
+      .parseFromString(recentlyViewedHTML, 'text/html')
+      .getElementById('predictive-search-products');
+    if (!products) return;
+
+    if (recentlyViewedProducts) {
+      // Clearing the recently viewed products is left to the predictive search
+      recentlyViewedProducts.querySelector('.predictive-search-results__clear')?.remove();
+      products.prepend(...recentlyViewedProducts.children);
+    }
+
+    // The predictive search may render its own on this page
+    products.removeAttribute('id');
+    emptyState.replaceChildren(products);
+  }
 }
 
 if (!customElements.get('search-page-input-component')) {
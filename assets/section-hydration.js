@@ -2,34 +2,65 @@ import { buildSectionSelector, normalizeSectionId, sectionRenderer } from '@them
 import { requestIdleCallback, onDocumentReady } from '@theme/utilities';
 
 /**
- * Hydrates a section using the Section Rendering API preserving states.
+ * The sections waiting to be hydrated, by the URL to render them from
+ * @type {Map<string, Set<string>>}
+ */
+const pendingHydrations = new Map();
+
+/**
+ * Hydrates sections using the Section Rendering API preserving states.
  * Only updates elements with data-lazy-hydration attribute.
  *
- * @param {string} sectionId - The section ID to hydrate
- * @param {URL} [url] - The URL to render the section from
+ * @param {string[]} sectionIds - The IDs of the sections to hydrate
+ * @param {URL} [url] - The URL to render the sections from
  */
-async function hydrateSection(sectionId, url) {
-  const normalizedId = normalizeSectionId(sectionId);
-  const section = document.getElementById(buildSectionSelector(normalizedId));
+async function hydrateSections(sectionIds, url) {
+  /** @type {HTMLElement[]} */
+  const sections = [];
+
+  for (const sectionId of sectionIds) {
+    const section = document.getElementById(buildSectionSelector(normalizeSectionId(sectionId)));
+
+    if (section && section.dataset.hydrated !== 'true') sections.push(section);
+  }
 
-  if (!section || section.dataset.hydrated === 'true') {
-    return;
+  if (!sections.length) return;
+
+  await sectionRenderer.renderSections(
+    sections.map((section) => normalizeSectionId(section.id)),
+    { cache: false, url }
+  );
+
+  for (const section of sections) {
+    section.dataset.hydrated = 'true';
   }
+}
 
-  await sectionRenderer.renderSection(normalizedId, { cache: false, url });
+/**
+ * Hydrates the pending sections, in one request for the sections rendered from the same URL
+ */
+function hydratePendingSections() {
+  for (const [url, sectionIds] of pendingHydrations) {
+    hydrateSections([...sectionIds], new URL(url));
+  }
 
-  section.dataset.hydrated = 'true';
+  pendingHydrations.clear();
 }
 
 /**
  * Hydrates a section using the Section Rendering API preserving states, when
- * the DOM is ready.
+ * the DOM is ready. Sections hydrated in the meantime are rendered along with it.
  *
  * @param {string} sectionId - The section ID to hydrate
  * @param {URL} [url] - The URL to render the section from
  */
 export async function hydrate(sectionId, url) {
   onDocumentReady(() => {
-    requestIdleCallback(() => hydrateSection(sectionId, url));
+    const key = (url ?? new URL(window.location.href)).toString();
+    const sectionIds = pendingHydrations.get(key) ?? new Set();
+
+    if (!pendingHydrations.size) requestIdleCallback(hydratePendingSections);
+
+    pendingHydrations.set(key, sectionIds.add(sectionId));
   });
 }
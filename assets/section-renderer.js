@@ -1,4 +1,179 @@
 import { morph } from '@theme/morph';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * The tags of every cached section, as sections render the cart state (cart count, prices, quantity rules, etc.)
+ */
+const DEFAULT_CACHE_TAGS = ['cart'];
+
+/**
+ * How many sections the Section Rendering API renders in one request with the `sections` parameter
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} html - The section HTML
+ * @property {Set<string>} tags - The tags to invalidate the entry by
+ * @property {number} createdAt - When the entry was cached, from `performance.now()`
+ */
+
+/**
+ * @typedef {Object} SectionCacheStats
+ * @property {number} hits - The lookups answered from the cache
+ * @property {number} misses - The lookups that weren't cached or had expired
+ * @property {number} bytes - The approximate memory used by the cached HTML, in bytes
+ * @property {{ url: string, tags: string[], bytes: number, age: number }[]} entries - The cached entries, least
+ * recently used first, with their age in milliseconds
+ */
+
+/**
+ * A least recently used cache of section HTML, capped in entries and in age, whose entries can be dropped by tag
+ */
+class SectionCache {
+  /**
+   * The entries by URL, in the order they were last used
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * When each tag was last invalidated, so HTML fetched before that isn't cached
+   * @type {Map<string, number>}
+   */
+  #invalidatedAt = new Map();
+
+  #hits = 0;
+
+  #misses = 0;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - How many entries to keep before dropping the least recently used one
+   * @param {number} options.ttl - How long an entry is kept, in milliseconds
+   */
+  constructor({ maxEntries, ttl }) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Gets the HTML cached for a URL, marking it as recently used
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The section HTML, or `undefined` when it isn't cached or has expired
+   */
+  get(url) {
+    const entry = this.#getEntry(url);
+
+    if (!entry) {
+      this.#misses++;
+      return;
+    }
+
+    this.#entries.delete(url);
+    this.#entries.set(url, entry);
+    this.#hits++;
+
+    return entry.html;
+  }
+
+  /**
+   * Checks whether a URL is cached, without counting it as a lookup
+   * @param {string} url - The section rendering URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return !!this.#getEntry(url);
+  }
+
+  /**
+   * Caches the HTML of a URL
+   * @param {string} url - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {Iterable<string>} tags - The tags to invalidate the entry by
+   * @param {number} [fetchedAt] - When the HTML was requested, to skip it when its tags were invalidated since
+   */
+  set(url, html, tags, fetchedAt = performance.now()) {
+    const tagSet = new Set(tags);
+
+    for (const tag of tagSet) {
+      if ((this.#invalidatedAt.get(tag) ?? -1) >= fetchedAt) return;
+    }
+
+    this.#entries.delete(url);
+    this.#entries.set(url, { html, tags: tagSet, createdAt: performance.now() });
+
+    for (const key of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+      this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Drops the entries with a tag
+   * @param {string} tag - The tag
+   * @returns {number} The number of entries dropped
+   */
+  invalidate(tag) {
+    let count = 0;
+
+    this.#invalidatedAt.set(tag, performance.now());
+
+    for (const [url, entry] of this.#entries) {
+      if (!entry.tags.has(tag)) continue;
+
+      this.#entries.delete(url);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Drops every entry
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * @returns {SectionCacheStats}
+   */
+  getStats() {
+    const now = performance.now();
+    const entries = Array.from(this.#entries, ([url, entry]) => ({
+      url,
+      tags: Array.from(entry.tags),
+      // Strings are stored as UTF-16, two bytes per character
+      bytes: entry.html.length * 2,
+      age: Math.round(now - entry.createdAt),
+    }));
+
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+      entries,
+    };
+  }
+
+  /**
+   * Gets the entry of a URL, dropping it when it has expired
+   * @param {string} url - The section rendering URL
+   * @returns {SectionCacheEntry | undefined}
+   */
+  #getEntry(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return;
+
+    if (performance.now() - entry.createdAt > this.ttl) {
+      this.#entries.delete(url);
+      return;
+    }
+
+    return entry;
+  }
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -6,9 +181,8 @@ import { morph } from '@theme/morph';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
    */
-  #cache = new Map();
+  #cache = new SectionCache({ maxEntries: 50, ttl: 5 * 60 * 1000 });
 
   /**
    * The abort controllers by section ID
@@ -24,6 +198,7 @@ class SectionRenderer {
 
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, () => this.invalidate('cart'));
   }
 
   /**
@@ -32,17 +207,18 @@ class SectionRenderer {
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
    * @param {URL} [options.url] - The URL to render the section from
+   * @param {string[]} [options.tags] - The tags to cache the section HTML under, on top of `cart` and `section:<id>`
    * @returns {Promise<string>} The rendered section HTML
    */
   async renderSection(sectionId, options) {
     const { cache = !Shopify.designMode } = options ?? {};
-    const { url } = options ?? {};
+    const { url, tags } = options ?? {};
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+    const sectionHTML = await this.getSectionHTML(sectionId, cache, url, tags);
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
@@ -53,6 +229,44 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Renders several sections, fetching the ones that aren't cached in as few requests as possible
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections from
+   * @param {string[]} [options.tags] - The tags to cache the sections HTML under, on top of `cart` and `section:<id>`
+   * @returns {Promise<Record<string, string>>} The rendered sections HTML by section ID, without the sections
+   * missing from the response
+   */
+  async renderSections(sectionIds, options) {
+    const { cache = !Shopify.designMode, url, tags } = options ?? {};
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
+
+    for (const sectionId of sectionIds.map(normalizeSectionId)) {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const sectionsHTML = await this.getSectionsHTML([...abortControllers.keys()], cache, url, tags);
+
+    for (const [sectionId, abortController] of abortControllers) {
+      const sectionHTML = sectionsHTML[sectionId];
+      if (abortController.signal.aborted || !sectionHTML) continue;
+
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      morphSection(sectionId, sectionHTML);
+    }
+
+    return sectionsHTML;
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -69,9 +283,10 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {string[]} [tags] - The tags to cache the section HTML under, on top of `cart` and `section:<id>`
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), tags = []) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
@@ -83,6 +298,8 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
+    const fetchedAt = performance.now();
+
     pendingPromise = fetch(sectionUrl).then((response) => {
       return response.text();
     });
@@ -92,20 +309,137 @@ class SectionRenderer {
     const sectionHTML = await pendingPromise;
     this.#pendingPromises.delete(sectionUrl);
 
-    this.#cache.set(sectionUrl, sectionHTML);
+    this.#cache.set(sectionUrl, sectionHTML, getCacheTags(sectionId, tags), fetchedAt);
     return sectionHTML;
   }
 
+  /**
+   * Gets the HTML for several sections, fetching the ones that aren't cached or already being fetched
+   * with the `sections` parameter, up to `MAX_SECTIONS_PER_REQUEST` per request
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {string[]} [tags] - The tags to cache the sections HTML under, on top of `cart` and `section:<id>`
+   * @returns {Promise<Record<string, string>>} The rendered sections HTML by section ID, without the sections
+   * missing from the response
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), tags = []) {
+    /** @type {Record<string, string>} */
+    const sectionsHTML = {};
+    /** @type {Promise<void>[]} */
+    const promises = [];
+    /** @type {string[]} */
+    const sectionIdsToFetch = [];
+
+    for (const sectionId of new Set(sectionIds.map(normalizeSectionId))) {
+      const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      const cachedHTML = !pendingPromise && useCache ? this.#cache.get(sectionUrl) : undefined;
+
+      if (pendingPromise) {
+        promises.push(
+          pendingPromise.then((sectionHTML) => {
+            sectionsHTML[sectionId] = sectionHTML;
+          })
+        );
+      } else if (cachedHTML) {
+        sectionsHTML[sectionId] = cachedHTML;
+      } else {
+        sectionIdsToFetch.push(sectionId);
+      }
+    }
+
+    for (let index = 0; index < sectionIdsToFetch.length; index += MAX_SECTIONS_PER_REQUEST) {
+      const batch = sectionIdsToFetch.slice(index, index + MAX_SECTIONS_PER_REQUEST);
+
+      promises.push(
+        this.#fetchSections(batch, url, tags).then((batchHTML) => {
+          Object.assign(sectionsHTML, batchHTML);
+        })
+      );
+    }
+
+    await Promise.all(promises);
+
+    return sectionsHTML;
+  }
+
+  /**
+   * Fetches sections in one request, sharing it with the `getSectionHTML` calls made in the meantime
+   * @param {string[]} sectionIds - The normalized section IDs
+   * @param {URL} url - The URL to render the sections for
+   * @param {string[]} tags - The tags to cache the sections HTML under
+   * @returns {Promise<Record<string, string>>} The sections HTML by section ID
+   */
+  async #fetchSections(sectionIds, url, tags) {
+    const sectionsUrl = new URL(url);
+    sectionsUrl.searchParams.delete('section_id');
+    sectionsUrl.searchParams.set('sections', sectionIds.join(','));
+
+    const fetchedAt = performance.now();
+
+    /** @type {Promise<Record<string, string | null>>} */
+    const request = fetch(sectionsUrl).then((response) => response.json());
+
+    const sectionUrls = sectionIds.map((sectionId) => buildSectionRenderingURL(sectionId, new URL(url)));
+
+    sectionIds.forEach((sectionId, index) => {
+      const pendingPromise = request.then((sections) => sections[sectionId] ?? '');
+
+      // Rejections are handled by whoever awaits the request
+      pendingPromise.catch(() => {});
+      this.#pendingPromises.set(sectionUrls[index] ?? '', pendingPromise);
+    });
+
+    try {
+      const sections = await request;
+
+      /** @type {Record<string, string>} */
+      const sectionsHTML = {};
+
+      sectionIds.forEach((sectionId, index) => {
+        const sectionHTML = sections[sectionId];
+        if (typeof sectionHTML !== 'string') return;
+
+        sectionsHTML[sectionId] = sectionHTML;
+        this.#cache.set(sectionUrls[index] ?? '', sectionHTML, getCacheTags(sectionId, tags), fetchedAt);
+      });
+
+      return sectionsHTML;
+    } finally {
+      for (const sectionUrl of sectionUrls) this.#pendingPromises.delete(sectionUrl);
+    }
+  }
+
+  /**
+   * Drops the cached section HTML with a tag, e.g. `cart`, which is dropped on every cart update,
+   * or `section:<id>` for a single section
+   * @param {string} tag - The tag
+   * @returns {number} The number of entries dropped
+   */
+  invalidate(tag) {
+    return this.#cache.invalidate(tag);
+  }
+
+  /**
+   * Lists the cache hits, misses and memory use, for debugging from the console:
+   * `(await import('@theme/section-renderer')).sectionRenderer.getCacheStats()`
+   * @returns {SectionCacheStats}
+   */
+  getCacheStats() {
+    return this.#cache.getStats();
+  }
+
   /**
    * Caches the page sections
    */
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
+      if (this.#cache.has(url)) return;
       if (containsShadowRoot(section)) return;
 
-      this.#cache.set(url, section.outerHTML);
+      this.#cache.set(url, section.outerHTML, getCacheTags(section.id));
     }
   }
 }
@@ -125,6 +459,16 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Gets the tags to cache a section under
+ * @param {string} sectionId - The section ID
+ * @param {string[]} [tags] - The tags given by the caller
+ * @returns {string[]}
+ */
+function getCacheTags(sectionId, tags = []) {
+  return [...DEFAULT_CACHE_TAGS, `section:${normalizeSectionId(sectionId)}`, ...tags];
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -0,0 +1,172 @@
+import { Component } from '@theme/component';
+import { SellingPlanUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
+
+/** @typedef {import('./events').SellingPlanAllocation} SellingPlanAllocation */
+
+/**
+ * A custom element that lets the shopper choose between buying a product once and subscribing to it
+ * with one of its selling plans, showing the price and savings of the plan chosen in each group.
+ *
+ * @typedef {object} SellingPlanPickerRefs
+ * @property {HTMLInputElement} [oneTimeInput] - The one-time purchase option, missing when the product requires
+ * a selling plan.
+ * @property {HTMLElement} [oneTimePrice] - The price of the one-time purchase.
+ * @property {HTMLElement[]} groups - The selling plan groups, each with its option and its frequencies.
+ *
+ * @extends {Component<SellingPlanPickerRefs>}
+ */
+export class SellingPlanPickerComponent extends Component {
+  requiredRefs = ['groups'];
+
+  /**
+   * The ID of the selected selling plan, empty for a one-time purchase
+   * @returns {string}
+   */
+  get sellingPlanId() {
+    const group = this.#selectedGroup;
+    if (!group || getRadio(group)?.disabled) return '';
+
+    return getSelect(group)?.value ?? '';
+  }
+
+  /**
+   * The group of the selected selling plan
+   * @returns {HTMLElement | undefined}
+   */
+  get #selectedGroup() {
+    return this.refs.groups.find((group) => getRadio(group)?.checked);
+  }
+
+  /**
+   * Selects buying once or a selling plan group.
+   */
+  selectPurchaseOption() {
+    this.#update();
+  }
+
+  /**
+   * Selects the frequency of a selling plan group.
+   * @param {Event} event - The change event of the frequency.
+   */
+  selectSellingPlan(event) {
+    const group = this.refs.groups.find((group) => event.target instanceof Node && group.contains(event.target));
+    const radio = group && getRadio(group);
+
+    // Choosing a frequency subscribes with it
+    if (radio && !radio.disabled) radio.checked = true;
+
+    this.#update();
+  }
+
+  /**
+   * Updates the prices and the available selling plans for a variant, falling back to buying once, or to
+   * another plan, when the selected plan isn't available for it.
+   * @param {{ price?: number, selling_plan_allocations?: SellingPlanAllocation[] } | null | undefined} variant
+   */
+  updateVariant(variant) {
+    const { oneTimePrice, oneTimeInput, groups } = this.refs;
+
+    if (oneTimePrice && variant?.price != null) oneTimePrice.textContent = this.#formatMoney(variant.price);
+
+    const allocations = variant?.selling_plan_allocations;
+    if (!allocations) return;
+
+    for (const group of groups) {
+      const select = getSelect(group);
+      const radio = getRadio(group);
+      if (!select || !radio) continue;
+
+      for (const option of select.options) {
+        const allocation = allocations.find((allocation) => String(allocation.selling_plan_id) === option.value);
+
+        option.disabled = !allocation;
+        option.dataset.price = allocation ? String(allocation.price) : '';
+        option.dataset.compareAtPrice = allocation ? String(allocation.compare_at_price) : '';
+      }
+
+      const firstAvailableOption = Array.from(select.options).find((option) => !option.disabled);
+
+      if (select.selectedOptions[0]?.disabled && firstAvailableOption) select.value = firstAvailableOption.value;
+      radio.disabled = !firstAvailableOption;
+    }
+
+    const selectedRadio = this.#selectedGroup && getRadio(this.#selectedGroup);
+
+    if (selectedRadio?.disabled) {
+      const fallback = oneTimeInput ?? groups.map(getRadio).find((radio) => radio && !radio.disabled);
+      if (fallback) fallback.checked = true;
+    }
+
+    this.#update();
+  }
+
+  /**
+   * Shows the price and savings of the plan chosen in each group, and tells the product form about the selection.
+   */
+  #update() {
+    for (const group of this.refs.groups) {
+      const option = getSelect(group)?.selectedOptions[0];
+      const price = group.querySelector('[data-plan-price]');
+      const savings = group.querySelector('[data-plan-savings]');
+      if (!option?.dataset.price) continue;
+
+      const amount = Number(option.dataset.price);
+      const compareAtAmount = Number(option.dataset.compareAtPrice);
+      const percent = compareAtAmount > amount ? Math.round(((compareAtAmount - amount) / compareAtAmount) * 100) : 0;
+
+      if (price) price.textContent = this.#formatMoney(amount);
+      if (savings instanceof HTMLElement) {
+        savings.hidden = percent <= 0;
+        savings.textContent = (this.dataset.savingsText ?? '').replace('{{ percent }}', String(percent));
+      }
+    }
+
+    const { sellingPlanId } = this;
+    const option = this.#selectedGroup && getSelect(this.#selectedGroup)?.selectedOptions[0];
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent(
+        sellingPlanId
+          ? {
+              id: sellingPlanId,
+              price: Number(option?.dataset.price),
+              compare_at_price: Number(option?.dataset.compareAtPrice),
+            }
+          : null,
+        this.id,
+        { productId: this.dataset.productId ?? '' }
+      )
+    );
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {string}
+   */
+  #formatMoney(cents) {
+    const { moneyFormat = '{{amount}}', currency = '' } = this.dataset;
+
+    return formatCents(cents, moneyFormat, currency);
+  }
+}
+
+/**
+ * @param {HTMLElement} group - A selling plan group of the picker
+ * @returns {HTMLInputElement | null} The option selecting the group
+ */
+function getRadio(group) {
+  return group.querySelector('input[type="radio"]');
+}
+
+/**
+ * @param {HTMLElement} group - A selling plan group of the picker
+ * @returns {HTMLSelectElement | null} The frequencies of the group
+ */
+function getSelect(group) {
+  return group.querySelector('select');
+}
+
+if (!customElements.get('selling-plan-picker-component')) {
+  customElements.define('selling-plan-picker-component', SellingPlanPickerComponent);
+}
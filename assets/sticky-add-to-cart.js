@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, QuantitySelectorUpdateEvent } from '@theme/events';
+import { ThemeEvents, QuantitySelectorUpdateEvent, SellingPlanUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
 import { morph } from '@theme/morph';
 import { onAnimationEnd } from '@theme/utilities';
 
@@ -68,6 +69,9 @@ class StickyAddToCartComponent extends Component {
   /** @type {boolean} */
   #hiddenByBottom = false;
 
+  /** @type {SellingPlanUpdateEvent['detail']['resource']} */
+  #sellingPlan = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -77,6 +81,7 @@ class StickyAddToCartComponent extends Component {
     const target = this.closest('.shopify-section');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected, { signal });
+    target?.addEventListener(ThemeEvents.sellingPlanUpdate, this.#handleSellingPlanUpdate, { signal });
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAddComplete, { signal });
     document.addEventListener(ThemeEvents.cartError, this.#handleCartAddComplete, { signal });
@@ -201,8 +206,8 @@ class StickyAddToCartComponent extends Component {
 
     const variant = event.detail.resource;
 
-    // Get the new sticky add to cart HTML from the server response
-    const newStickyAddToCart = event.detail.data.html.querySelector('sticky-add-to-cart');
+    // Get the new sticky add to cart HTML from the server response, which follows variants resolved by the picker
+    const newStickyAddToCart = event.detail.data.html?.querySelector('sticky-add-to-cart');
     if (!newStickyAddToCart) return;
 
     const newStickyBar = newStickyAddToCart.querySelector('[ref="stickyBar"]');
@@ -233,6 +238,7 @@ class StickyAddToCartComponent extends Component {
     if (variant == null) {
       this.#handleVariantUnavailable();
     }
+    this.#renderSellingPlanPrice();
     // Restore the current quantity display if needed
     this.#updateButtonText();
   };
@@ -249,6 +255,43 @@ class StickyAddToCartComponent extends Component {
     this.dataset.currentVariantId = variantId;
   };
 
+  /**
+   * Handles selling plan update events
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event
+   */
+  #handleSellingPlanUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    this.#sellingPlan = event.detail.resource;
+    this.#renderSellingPlanPrice();
+  };
+
+  /**
+   * Shows the price with the selected selling plan, or the price of the variant for a one-time purchase
+   */
+  #renderSellingPlanPrice() {
+    const priceContainer = this.querySelector('.sticky-add-to-cart__price [ref="priceContainer"]');
+    const price = priceContainer?.querySelector('.price');
+    if (!(priceContainer instanceof HTMLElement) || !(price instanceof HTMLElement)) return;
+    if (price.classList.contains('price-range')) return;
+
+    // Keep the price of the variant to go back to, until the bar is morphed for another variant
+    if (price.dataset.variantPrice === undefined) price.dataset.variantPrice = price.textContent ?? '';
+
+    const { moneyFormat, currency = '' } = priceContainer.dataset;
+    const sellingPlanPrice = this.#sellingPlan?.price;
+    const showSellingPlanPrice = sellingPlanPrice != null && !!moneyFormat;
+
+    price.textContent = showSellingPlanPrice
+      ? formatCents(sellingPlanPrice, moneyFormat, currency)
+      : price.dataset.variantPrice;
+
+    // The compare at price is the variant's, it doesn't apply to the selling plan price
+    for (const compareAtPrice of priceContainer.querySelectorAll('.compare-at-price')) {
+      compareAtPrice.closest('[role="group"]')?.toggleAttribute('hidden', showSellingPlanPrice);
+    }
+  }
+
   /**
    * Updates the variant title based on selected options when the variant is unavailable
    */
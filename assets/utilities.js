@@ -613,6 +613,19 @@ export function getViewParameterValue() {
   return new URLSearchParams(window.location.search).get('view');
 }
 
+/**
+ * Pushes a history entry, after saving the scroll position in the current one as `scrollY`, so it can be restored
+ * when navigating back to it once its content is rendered again.
+ * @param {Record<string, unknown>} state - The state of the new entry
+ * @param {string | URL} url - The URL of the new entry
+ */
+export function pushHistoryState(state, url) {
+  const currentState = history.state && typeof history.state === 'object' ? history.state : {};
+
+  history.replaceState({ ...currentState, scrollY: window.scrollY }, '');
+  history.pushState(state, '', url);
+}
+
 /**
  * Helper to parse integer with a default fallback
  * Handles the case where 0 is a valid value (not falsy)
@@ -8,6 +8,24 @@ import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
  */
 
+/**
+ * A variant embedded in the picker, see the `variant-main-picker` snippet.
+ * @typedef {object} Variant
+ * @property {string} id
+ * @property {string[]} options - The option values, in the order of the product options
+ * @property {boolean} available
+ * @property {string | null} inventory_management
+ * @property {string | null} inventory_policy
+ * @property {number} inventory_quantity
+ * @property {string} [sku]
+ * @property {number} price - The price in cents
+ * @property {number | null} compare_at_price - The compare at price in cents
+ * @property {{ id: string, preview_image?: { src: string } }} [featured_media]
+ * @property {import('./events').SellingPlanAllocation[]} [selling_plan_allocations]
+ * @property {boolean} [preorder] - Whether the variant is sold on pre-order, from its `custom.preorder` metafield
+ * @property {string} [preorder_ship_date] - The formatted date the pre-order is expected to ship
+ */
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -27,6 +45,12 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /**
+   * The embedded variants, along with the JSON they were parsed from
+   * @type {{ json: string, variants: Variant[] } | undefined}
+   */
+  #variants;
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
@@ -70,7 +94,8 @@ export default class VariantPicker extends Component {
     const isOnProductPage =
       this.dataset.templateProductMatch === 'true' &&
       !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+      !event.target.closest('quick-add-dialog') &&
+      !event.target.closest('bundle-builder-component');
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
@@ -85,6 +110,11 @@ export default class VariantPicker extends Component {
       ? 'featured-product-information'
       : undefined;
 
+    // The embedded variants belong to the current product, not to the one a combined listing option links to.
+    if (!morphElementSelector && (!newUrl || newUrl === currentUrl)) {
+      this.#dispatchResolvedVariant();
+    }
+
     this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
 
     const url = new URL(window.location.href);
@@ -279,6 +309,7 @@ export default class VariantPicker extends Component {
     const SECTION_ID_MAP = {
       'quick-add-component': 'section-rendering-product-card',
       'swatches-variant-picker-component': 'section-rendering-product-card',
+      'bundle-builder-component': 'section-rendering-product-card',
       'featured-product-information': this.closest('featured-product-information')?.id,
     };
 
@@ -296,6 +327,52 @@ export default class VariantPicker extends Component {
     return `${productUrl}?${params.join('&')}`;
   }
 
+  /**
+   * Updates the variant right away when the picker can resolve it from its embedded variants, so the price, SKU,
+   * inventory and buy buttons don't wait on the network. The parts rendered from the section HTML, like the media
+   * and the availability of the other options, are updated once it's fetched.
+   */
+  #dispatchResolvedVariant() {
+    const variant = this.#resolveVariant();
+    const { selectedOptionId } = this;
+
+    if (!variant || !selectedOptionId) return;
+
+    this.dispatchEvent(
+      new VariantUpdateEvent(variant, selectedOptionId, {
+        productId: this.dataset.productId ?? '',
+      })
+    );
+  }
+
+  /**
+   * Finds the variant with the selected options.
+   * @returns {Variant | undefined} The variant, or `undefined` when the picker doesn't embed a matching variant
+   */
+  #resolveVariant() {
+    const script = this.querySelector('script[data-variants]');
+    const json = script?.textContent;
+
+    if (!json) return undefined;
+
+    try {
+      if (this.#variants?.json !== json) {
+        this.#variants = { json, variants: JSON.parse(json) };
+      }
+    } catch (error) {
+      console.error('Invalid variants JSON:', error);
+      return undefined;
+    }
+
+    /** @type {NodeListOf<HTMLInputElement | HTMLOptionElement>} */
+    const selectedOptions = this.querySelectorAll('select option[selected], fieldset input:checked');
+    const values = Array.from(selectedOptions, (option) => option.value);
+
+    return this.#variants.variants.find(
+      (variant) => variant.options.length === values.length && variant.options.every((value, i) => value === values[i])
+    );
+  }
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
@@ -366,6 +443,9 @@ export default class VariantPicker extends Component {
       throw new Error('No new variant picker source found');
     }
 
+    // The product card rendering only embeds the selected variant, pickers fetching it keep their options as they are
+    if (!newVariantPickerSource.querySelector('fieldset, select')) return undefined;
+
     // For combined listings, the product might have changed, so update the related data attribute.
     if (newVariantPickerSource instanceof HTMLElement) {
       const newProductId = newVariantPickerSource.dataset.productId;